@@ -0,0 +1,245 @@
+/**
+ * Comparison of the average reliability of selected projects.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import ComparisonGraph from './ComparisonGraph';
+import {getGraphSize} from './resize';
+
+// Colorblind-safe palette of the theme, starting with the color of the
+// status lines
+const palette = _.times(8, i => `var(--palette-${i + 1})`);
+
+const defaultConfiguration = {
+    element: d3.select('#comparison'), // The element which will contain the graph and legend
+    index: 'comparison', // Unique index of the comparison graph
+    ratio: 0.42, // Proportion of the height to the width of the graph
+    projects: [], // Names of the projects that can be selected
+    projectTitle: (name) => name, // Display title of a project name
+    selected: [], // Names of the initially selected projects
+    load: null, // Function returning a promise of average data of a project and duration
+    onGraph: null, // Callback when a new comparison graph is created
+    onSelect: null, // Callback when the selection of projects changes
+    onError: null, // Callback when the data of a project could not be loaded
+};
+
+/**
+ * A graph overlaying the average reliability of multiple projects, with
+ * a legend to toggle each project.
+ */
+class Comparison {
+    /**
+     * Initialize the comparison with a legend of all projects.
+     */
+    constructor(dispatch, configuration = {}, locales=null) {
+        this.dispatch = dispatch;
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.selected = _.intersection(this.config.selected, this.config.projects);
+        this.duration = null;
+        this.graph = null;
+        this.cache = new Map();
+
+        this.color = d3.scaleOrdinal()
+            .domain(this.config.projects)
+            .range(palette);
+
+        this.create();
+    }
+
+    /**
+     * Create the legend and the graph container.
+     */
+    create() {
+        this.config.element.html('');
+
+        this.legend = this.config.element.append('div')
+            .classed('buttons comparison-legend', true);
+
+        this.legend.selectAll('button')
+            .data(this.config.projects)
+            .enter()
+            .append('button')
+            .classed('button is-small', true)
+            .attr('title', project => this.locales.message('comparison-toggle',
+                [this.config.projectTitle(project)]
+            ))
+            .on('click', (event, project) => this.toggle(project))
+            .call(button => button.append('span')
+                .classed('icon is-small', true)
+                .append('i')
+                .classed('fas fa-square', true)
+                .style('color', project => this.color(project))
+            )
+            .call(button => button.append('span')
+                .text(project => this.config.projectTitle(project))
+            );
+
+        const {width, height} = this.getSize();
+        this.svg = this.config.element.append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        this.updateLegend();
+    }
+
+    /**
+     * Determine the size of the graph which fills the width of the element.
+     */
+    getSize() {
+        return getGraphSize(this.config.element.node(), {
+            ratio: this.config.ratio,
+            fallback: 960
+        });
+    }
+
+    /**
+     * Fit the graph to the current width of the element.
+     */
+    resize() {
+        const {width, height} = this.getSize();
+        if (this.graph !== null) {
+            this.graph.resize(width, height);
+        }
+        else {
+            this.svg.attr('width', width).attr('height', height);
+        }
+    }
+
+    /**
+     * Update the pressed state of the legend buttons.
+     */
+    updateLegend() {
+        this.legend.selectAll('button')
+            .classed('is-selected', project => _.includes(this.selected, project))
+            .attr('aria-pressed', project => _.includes(this.selected, project));
+    }
+
+    /**
+     * Toggle whether a project is shown in the comparison.
+     */
+    toggle(project) {
+        this.selected = _.includes(this.selected, project) ?
+            _.without(this.selected, project) :
+            _.intersection(this.config.projects, _.concat(this.selected, project));
+        this.updateLegend();
+        if (this.config.onSelect) {
+            this.config.onSelect(this.selected);
+        }
+        this.update();
+    }
+
+    /**
+     * Change the duration of the data files used for the comparison.
+     */
+    setDuration(duration) {
+        if (duration !== this.duration) {
+            this.duration = duration;
+            this.update();
+        }
+    }
+
+    /**
+     * Retrieve the average reliability data of a project, using a cache.
+     */
+    load(project) {
+        const key = `${project}.${this.duration}`;
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.config.load(project, this.duration)
+                .catch((error) => {
+                    this.cache.delete(key);
+                    if (this.config.onError) {
+                        this.config.onError(error);
+                    }
+                    return [];
+                })
+            );
+        }
+        return this.cache.get(key);
+    }
+
+    /**
+     * Discard the cached data and load the selected projects again.
+     */
+    reload() {
+        this.cache.clear();
+        return this.update();
+    }
+
+    /**
+     * Remove the current graph, its accessible elements and its dispatch
+     * listeners.
+     */
+    removeGraph() {
+        if (this.graph !== null) {
+            this.dispatch.on(`zoom.${this.config.index}`, null)
+                .on(`focus.${this.config.index}`, null);
+            this.graph.destroy();
+            this.graph = null;
+        }
+        this.svg.html('');
+    }
+
+    /**
+     * Load the selected projects and redraw the graph.
+     */
+    update() {
+        if (this.duration === null) {
+            return Promise.resolve();
+        }
+        const selected = this.selected;
+        const duration = this.duration;
+        return Promise.all(_.map(selected, project => this.load(project)))
+            .then(results => {
+                // Ignore outdated results if the selection changed meanwhile
+                if (selected !== this.selected || duration !== this.duration) {
+                    return;
+                }
+                const data = _.flatMap(results, (values, i) => _.map(values,
+                    d => _.assign({project: selected[i]}, d)
+                ));
+
+                this.removeGraph();
+                if (data.length === 0) {
+                    return;
+                }
+
+                // The element may have been hidden when the graph was sized
+                const {width, height} = this.getSize();
+                this.svg.attr('width', width).attr('height', height);
+
+                this.graph = new ComparisonGraph(data, duration,
+                    this.dispatch, {
+                        element: this.svg,
+                        index: this.config.index,
+                        color: this.color,
+                        projectTitle: this.config.projectTitle,
+                        label: this.locales.message('comparison')
+                    }, this.locales
+                );
+                if (this.config.onGraph) {
+                    this.config.onGraph(this.graph);
+                }
+            });
+    }
+}
+
+export default Comparison;
@@ -0,0 +1,217 @@
+/**
+ * Overlay graph of the average reliability of multiple projects.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import Graph from './Graph';
+import Unit from './Unit';
+
+/**
+ * An interactive graph with an average reliability line for each project.
+ * The data holds the points of all projects, with a `project` field.
+ */
+class ComparisonGraph extends Graph {
+    /**
+     * Create the graph.
+     */
+    create() {
+        const svg = this.config.element;
+
+        const margin = { top: 20, right: 30, bottom: 30, left: 30 },
+            g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+        this.width = +svg.attr('width') - margin.left - margin.right;
+        this.height = +svg.attr('height') - margin.top - margin.bottom;
+
+        svg.append('defs')
+            .append('clipPath')
+            .attr('id', `graph-clipper-${this.config.index}`)
+            .append('rect')
+            .attr('width', this.width)
+            .attr('height', this.height);
+
+        d3.timeFormatDefaultLocale(this.locales.selectedLocale);
+
+        this.createLineDomains();
+        this.series = d3.group(this.data, d => d.project);
+
+        this.xAxis = d3.axisBottom(this.x);
+        g.append('g')
+            .classed('axis x-axis', true)
+            .attr('transform', `translate(0,${this.height})`)
+            .call(this.xAxis);
+
+        g.append('g')
+            .classed('axis y-axis-left', true)
+            .call(d3.axisLeft(this.yOk));
+
+        this.idleTimeout = null;
+        this.idleDelay = 350;
+
+        this.componentHasValues = false;
+        this.valueUnit = new Unit(this.config, this.locales);
+        this.yValueAxis = null;
+
+        // Create a line for each project
+        g.selectAll('.comparison-line')
+            .data(this.series)
+            .enter()
+            .append('path')
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`)
+            .attr('class', 'line comparison-line')
+            .attr('fill', 'none')
+            .style('stroke', ([project]) => this.config.color(project))
+            .attr('stroke-linejoin', 'round')
+            .attr('stroke-linecap', 'round')
+            .attr('stroke-width', 2)
+            .attr('d', ([, values]) => this.okStatusLine(this.getRenderData(values)));
+
+        this.createBrush(svg, margin);
+        this.createFocus(svg, g);
+
+        // Display a circle for each project instead of a single circle
+        this.focus.select('circle').remove();
+        this.focus.selectAll('.project-circle')
+            .data(this.series)
+            .enter()
+            .insert('circle', '.hover-line')
+            .classed('project-circle', true)
+            .attr('r', 4)
+            .style('stroke', ([project]) => this.config.color(project));
+
+        this.createAccessibility(svg);
+    }
+
+    /**
+     * Retrieve the lines of text of the tooltip for the focused time, with
+     * the average reliability of each project.
+     */
+    getTooltipLines() {
+        return [d3.timeFormat('%d %b %H:%M')(this.focusDate)].concat(
+            this.focusData.map(([project, d]) => this.locales.message(
+                'comparison-tooltip',
+                [this.config.projectTitle(project), d3.format('.1%')(d.ok)]
+            ))
+        );
+    }
+
+    /**
+     * Retrieve the dates of all projects to which the focus can be moved.
+     */
+    getFocusDates() {
+        return _.sortBy(_.uniqBy(_.map(this.data, d => d.checked_date),
+            date => date.getTime()
+        ));
+    }
+
+    /**
+     * Determine the columns and rows of the data table, which holds the data
+     * points of each project within the domain where its reliability changed.
+     */
+    getTable() {
+        const domain = this.x.domain();
+        const format = d3.timeFormat('%d %b %Y %H:%M');
+        const rows = [];
+        this.series.forEach((values, project) => {
+            let previous = null;
+            values.forEach(d => {
+                if (d.checked_date >= domain[0] && d.checked_date <= domain[1] &&
+                    (previous === null || d.ok !== previous.ok)
+                ) {
+                    rows.push([d.checked_date, project, d.ok]);
+                    previous = d;
+                }
+            });
+        });
+        return {
+            columns: ['time', 'project', 'reliability'],
+            rows: _.map(_.sortBy(rows, row => row[0]), ([date, project, ok]) => [
+                format(date), this.config.projectTitle(project),
+                d3.format('.1%')(ok)
+            ])
+        };
+    }
+
+    /**
+     * Update the focus line and circles of each project to the data point
+     * closest to the given date, or move them during a zoom transition.
+     */
+    updateFocus(x0) {
+        this.hideTooltip();
+
+        if (x0 === null) {
+            this.setPinned(false);
+            this.focus.style("display", "none");
+            this.focusData = null;
+            return;
+        }
+        this.focus.style("display", null);
+
+        const transition = typeof x0.transition === "function" ? x0 : null;
+
+        if (transition === null) {
+            this.focusDate = x0;
+            this.focusData = [];
+            this.series.forEach((values, project) => {
+                const i = this.bisectDate(values, x0, 1),
+                    d0 = values[i - 1],
+                    d1 = values[i] || values[i - 1];
+                if (d0 && x0 >= values[0].checked_date) {
+                    this.focusData.push([project, x0 - d0.checked_date > d1.checked_date - x0 ? d1 : d0]);
+                }
+            });
+        }
+        else if (this.focusData === null) {
+            return;
+        }
+
+        const element = transition ? transition : this.focus;
+        element.attr("transform", `translate(${this.x(this.focusDate)},0)`);
+
+        const points = new Map(this.focusData);
+        this.focus.selectAll('.project-circle')
+            .style('display', ([project]) => points.has(project) ? null : 'none')
+            .attr('transform', ([project]) => points.has(project) ?
+                `translate(${this.x(points.get(project).checked_date) - this.x(this.focusDate)},${this.yOk(points.get(project).ok)})` : null
+            );
+
+        this.focus.select(".hover-line").attr("y1", 0).attr("y2", this.height);
+    }
+
+    /**
+     * Zoom the graph to the current x domain, with a transition of the given
+     * duration in milliseconds.
+     */
+    zoom(duration=750) {
+        const transition = this.config.element.transition().duration(duration);
+
+        this.config.element.select(".x-axis").transition(transition).call(this.xAxis);
+
+        this.config.element.selectAll(".line.comparison-line")
+            .transition(transition)
+            .attr("d", ([, values]) => this.okStatusLine(this.getRenderData(values)));
+
+        this.updateFocus(this.focus.transition(transition));
+
+        this.updateTable();
+    }
+}
+
+export default ComparisonGraph;
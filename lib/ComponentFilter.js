@@ -0,0 +1,281 @@
+/**
+ * Search, filter, grouping and sorting of the component graphs.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const defaultConfiguration = {
+    element: d3.select('#component-filter'), // The element which will contain the toolbar
+    container: d3.select('#components'), // The element which contains the components
+    storageKey: 'bigboat-status-component-filter', // Local storage key of the choices per project
+};
+
+// The initial choices of the toolbar
+const defaultChoices = {
+    search: '',
+    outages: false,
+    group: false,
+    sort: 'data'
+};
+
+// Sort orders of the components, with the value to sort them by. Components
+// without a value are placed last.
+const sortKeys = {
+    data: item => item.index,
+    name: item => item.title.toLowerCase(),
+    uptime: (item, domain) => item.statistics && domain ?
+        item.statistics.compute(domain).uptime : null,
+    failure: item => {
+        const failure = _.findLast(item.values, d => d.ok < 1);
+        return failure ? -failure.checked_date : null;
+    }
+};
+
+/**
+ * A toolbar to search the components by their title and description, to only
+ * show components with outages in the visible domain, to group components by
+ * their category and to sort them. The choices are remembered per project.
+ */
+class ComponentFilter {
+    /**
+     * Initialize the toolbar with the given configuration.
+     */
+    constructor(configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.project = null;
+        this.items = [];
+        this.domain = null;
+        this.choices = _.clone(defaultChoices);
+
+        this.create();
+    }
+
+    /**
+     * Read the stored choices of all projects.
+     */
+    load() {
+        try {
+            const stored = JSON.parse(
+                window.localStorage.getItem(this.config.storageKey)
+            );
+            return _.isPlainObject(stored) ? stored : {};
+        }
+        catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Store the current choices for the current project.
+     */
+    save() {
+        if (this.project === null) {
+            return;
+        }
+        const stored = this.load();
+        stored[this.project] = this.choices;
+        try {
+            window.localStorage.setItem(this.config.storageKey,
+                JSON.stringify(stored)
+            );
+        }
+        catch (error) {
+            // Storage is unavailable, so the choices are not remembered
+        }
+    }
+
+    /**
+     * Create the toolbar controls.
+     */
+    create() {
+        this.config.element.html('');
+
+        const toolbar = this.config.element.append('div')
+            .classed('field is-grouped is-grouped-multiline component-filter', true);
+
+        this.search = toolbar.append('div')
+            .classed('control has-icons-left is-expanded', true)
+            .call(control => control.append('span')
+                .classed('icon is-small is-left', true)
+                .append('i')
+                .classed('fas fa-search', true)
+            )
+            .append('input')
+            .classed('input is-small', true)
+            .attr('type', 'search')
+            .attr('placeholder', this.locales.message('component-search'))
+            .attr('aria-label', this.locales.message('component-search'))
+            .on('input', (event) => {
+                this.setChoice('search', event.target.value);
+            });
+
+        const checkbox = (key, message) => toolbar.append('div')
+            .classed('control', true)
+            .append('label')
+            .classed('checkbox', true)
+            .call(label => label.append('input')
+                .attr('type', 'checkbox')
+                .on('change', (event) => {
+                    this.setChoice(key, event.target.checked);
+                })
+            )
+            .call(label => label.append('span')
+                .text(` ${this.locales.message(message)}`)
+            )
+            .select('input');
+
+        this.outages = checkbox('outages', 'component-outages');
+        this.group = checkbox('group', 'component-group');
+
+        this.sort = toolbar.append('div')
+            .classed('control', true)
+            .append('div')
+            .classed('select is-small', true)
+            .append('select')
+            .attr('aria-label', this.locales.message('component-sort'))
+            .on('change', (event) => {
+                this.setChoice('sort', event.target.value);
+            });
+        this.sort.selectAll('option')
+            .data(_.keys(sortKeys))
+            .enter()
+            .append('option')
+            .attr('value', d => d)
+            .text(d => this.locales.attribute('component-sort-options', d));
+
+        this.count = toolbar.append('div')
+            .classed('control component-count', true)
+            .attr('aria-live', 'polite');
+    }
+
+    /**
+     * Change one of the choices, remember it and update the components.
+     */
+    setChoice(key, value) {
+        this.choices[key] = value;
+        this.save();
+        this.apply();
+    }
+
+    /**
+     * Replace the components of the current project. Each item has the
+     * component `key`, its `index` in the data, the `title`, `description`
+     * and `category`, the component `element`, its `values` and its
+     * `statistics`, if any.
+     */
+    setProject(project, items) {
+        this.project = project;
+        this.items = items;
+        this.choices = _.assign({}, defaultChoices,
+            _.pick(this.load()[project], _.keys(defaultChoices))
+        );
+        if (!_.has(sortKeys, this.choices.sort)) {
+            this.choices.sort = defaultChoices.sort;
+        }
+
+        this.search.property('value', this.choices.search);
+        this.outages.property('checked', this.choices.outages);
+        this.group.property('checked', this.choices.group)
+            .property('disabled', !_.some(items, item => item.category));
+        this.sort.property('value', this.choices.sort);
+
+        this.apply();
+    }
+
+    /**
+     * Determine whether a component matches the search and filter.
+     */
+    matches(item) {
+        const search = _.trim(this.choices.search).toLowerCase();
+        if (search !== '' && !_.some([item.key, item.title, item.description],
+            text => text && text.toLowerCase().includes(search)
+        )) {
+            return false;
+        }
+        if (this.choices.outages) {
+            return !!(item.statistics && this.domain &&
+                item.statistics.compute(this.domain).outages > 0
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Show the matching components in the chosen order and groups.
+     */
+    apply() {
+        const container = this.config.container;
+        container.selectAll('.component-group').remove();
+
+        const sortKey = sortKeys[this.choices.sort];
+        const ordered = _.sortBy(_.map(this.items, item => ({
+            item,
+            value: sortKey(item, this.domain),
+            visible: this.matches(item)
+        })), [
+            d => d.value === null || d.value === undefined,
+            'value',
+            d => d.item.index
+        ]);
+
+        const groups = this.choices.group ?
+            _.sortBy(_.toPairs(_.groupBy(ordered, d => d.item.category || '')),
+                [([category]) => category === '', ([category]) => category]
+            ) : [['', ordered]];
+
+        groups.forEach(([category, members]) => {
+            if (this.choices.group) {
+                container.append('div')
+                    .classed('column is-12 component-group', true)
+                    .classed('is-hidden', !_.some(members, 'visible'))
+                    .append('h4')
+                    .classed('title is-5', true)
+                    .text(category === '' ?
+                        this.locales.message('component-group-other') : category
+                    );
+            }
+            members.forEach(({item, visible}) => {
+                item.element.classed('is-hidden', !visible);
+                container.node().appendChild(item.element.node());
+            });
+        });
+
+        this.count.text(this.locales.message('component-count', [
+            _.filter(ordered, 'visible').length, ordered.length
+        ]));
+    }
+
+    /**
+     * Update the filter and sort order to the given visible domain.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.domain = domain;
+        if (this.choices.outages || this.choices.sort === 'uptime') {
+            this.apply();
+        }
+    }
+}
+
+export default ComponentFilter;
@@ -0,0 +1,163 @@
+/**
+ * Date range control with absolute and relative ranges.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as d3 from 'd3';
+
+const defaultConfiguration = {
+    element: d3.select('#date-range'), // The element which will contain the control
+    units: ['hours', 'days', 'weeks', 'months'], // Units of relative ranges
+    setDomain: (domain) => {}, // Callback to apply an absolute start and end date
+    setDuration: (duration) => {}, // Callback to apply a relative duration slug
+};
+
+// Format of the values of the date inputs
+const inputFormat = '%Y-%m-%dT%H:%M';
+
+/**
+ * A control to select an absolute range with start and end dates, or
+ * a relative range of a number of hours, days, weeks or months before the
+ * latest data.
+ */
+class DateRange {
+    /**
+     * Initialize the date range control with the given configuration.
+     */
+    constructor(configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.formatDate = d3.timeFormat(inputFormat);
+        this.parseDate = d3.timeParse(inputFormat);
+
+        this.create();
+    }
+
+    /**
+     * Create the inputs of the control.
+     */
+    create() {
+        this.config.element.html('');
+
+        const form = this.config.element.append('div')
+            .classed('field is-grouped is-grouped-multiline date-range', true);
+
+        const dateInput = (message) => form.append('div')
+            .classed('control', true)
+            .append('label')
+            .classed('label is-small', true)
+            .call(label => label.append('span')
+                .text(`${this.locales.message(message)} `)
+            )
+            .append('input')
+            .classed('input is-small', true)
+            .attr('type', 'datetime-local');
+
+        this.start = dateInput('date-range-start');
+        this.end = dateInput('date-range-end');
+
+        form.append('div')
+            .classed('control', true)
+            .append('button')
+            .classed('button is-small is-link is-light', true)
+            .text(this.locales.message('date-range-apply'))
+            .on('click', () => this.applyDomain());
+
+        const relative = form.append('div')
+            .classed('control', true)
+            .append('div')
+            .classed('field has-addons', true);
+
+        relative.append('div')
+            .classed('control', true)
+            .append('span')
+            .classed('button is-small is-static', true)
+            .text(this.locales.message('date-range-last'));
+
+        this.amount = relative.append('div')
+            .classed('control', true)
+            .append('input')
+            .classed('input is-small date-range-amount', true)
+            .attr('type', 'number')
+            .attr('min', 1)
+            .attr('value', 1)
+            .attr('aria-label', this.locales.message('date-range-amount'));
+
+        this.unit = relative.append('div')
+            .classed('control', true)
+            .append('div')
+            .classed('select is-small', true)
+            .append('select')
+            .attr('aria-label', this.locales.message('date-range-unit'));
+        this.unit.selectAll('option')
+            .data(this.config.units)
+            .enter()
+            .append('option')
+            .attr('value', d => d)
+            .text(d => this.locales.attribute('date-range-units', d));
+
+        relative.append('div')
+            .classed('control', true)
+            .append('button')
+            .classed('button is-small is-link is-light', true)
+            .text(this.locales.message('date-range-apply'))
+            .on('click', () => this.applyDuration());
+    }
+
+    /**
+     * Apply the absolute range of the start and end inputs, if it is valid.
+     */
+    applyDomain() {
+        const start = this.parseDate(this.start.property('value'));
+        const end = this.parseDate(this.end.property('value'));
+        const valid = start !== null && end !== null && start < end;
+        this.start.classed('is-danger', start === null || !valid);
+        this.end.classed('is-danger', end === null || !valid);
+        if (valid) {
+            this.config.setDomain([start, end]);
+        }
+    }
+
+    /**
+     * Apply the relative range of the amount and unit inputs, if it is valid.
+     */
+    applyDuration() {
+        const amount = Number(this.amount.property('value'));
+        const valid = Number.isInteger(amount) && amount > 0;
+        this.amount.classed('is-danger', !valid);
+        if (valid) {
+            this.config.setDuration(`${amount}-${this.unit.property('value')}`);
+        }
+    }
+
+    /**
+     * Display the given domain in the start and end inputs.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.start.classed('is-danger', false)
+            .property('value', this.formatDate(domain[0]));
+        this.end.classed('is-danger', false)
+            .property('value', this.formatDate(domain[1]));
+    }
+}
+
+export default DateRange;
@@ -0,0 +1,232 @@
+/**
+ * Export actions for graph images and data.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const defaultConfiguration = {
+    element: d3.select('#export'), // The element which will contain the buttons
+    filename: 'bigboat-status', // Base name of downloaded files
+};
+
+// Style properties that are copied from the stylesheet into exported images
+const styleProperties = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight',
+    'text-anchor', 'shape-rendering'
+];
+
+// Exported image formats and data formats, with their action icons
+const formats = {
+    svg: 'fa-image',
+    png: 'fa-file-image',
+    csv: 'fa-file-csv',
+    json: 'fa-file-code'
+};
+
+/**
+ * Offer a file with the given contents for download.
+ */
+const download = function(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Export actions for the image and the zoomed data points of a graph.
+ */
+class Export {
+    /**
+     * Initialize the export buttons for a graph.
+     */
+    constructor(graph, configuration = {}, locales=null) {
+        this.graph = graph;
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.create();
+    }
+
+    /**
+     * Create the buttons for the export actions.
+     */
+    create() {
+        this.config.element.html('');
+
+        const buttons = this.config.element.append('div')
+            .classed('buttons has-addons are-small export', true)
+            .selectAll('button')
+            .data(_.toPairs(formats))
+            .enter()
+            .append('button')
+            .classed('button', true)
+            .attr('title', d => this.locales.attribute('export-titles', d[0]))
+            .on('click', (event, d) => this[d[0]]());
+
+        buttons.append('span')
+            .classed('icon is-small', true)
+            .append('i')
+            .attr('class', d => `fas ${d[1]}`);
+
+        buttons.append('span')
+            .text(d => this.locales.attribute('export', d[0]));
+    }
+
+    /**
+     * Remove the export buttons.
+     */
+    destroy() {
+        this.config.element.html('');
+    }
+
+    /**
+     * Create a standalone SVG document of the graph with the styles from
+     * the stylesheet inlined.
+     */
+    serialize() {
+        const original = this.graph.config.element.node();
+        const clone = original.cloneNode(true);
+
+        const originalNodes = original.querySelectorAll('*');
+        const cloneNodes = clone.querySelectorAll('*');
+        originalNodes.forEach((node, i) => {
+            const computed = window.getComputedStyle(node);
+            const style = _.map(styleProperties,
+                property => `${property}: ${computed.getPropertyValue(property)}`
+            );
+            cloneNodes[i].setAttribute('style', `${style.join('; ')}; ${cloneNodes[i].getAttribute('style') || ''}`);
+        });
+
+        // Remove interactive elements
+        const svg = d3.select(clone);
+        svg.selectAll('.brush, .focus').remove();
+
+        const width = +svg.attr('width');
+        const height = +svg.attr('height');
+        const margin = 40;
+        svg.attr('xmlns', 'http://www.w3.org/2000/svg')
+            .attr('width', width + margin)
+            .attr('height', height + margin)
+            .attr('viewBox', `${-margin / 2} ${-margin / 2} ${width + margin} ${height + margin}`)
+            .attr('style', `font-family: ${window.getComputedStyle(original).getPropertyValue('font-family')}`)
+            .insert('rect', ':first-child')
+            .attr('x', -margin / 2)
+            .attr('y', -margin / 2)
+            .attr('width', width + margin)
+            .attr('height', height + margin)
+            .attr('fill', window.getComputedStyle(document.documentElement)
+                .getPropertyValue('--graph-background').trim() || '#fff'
+            );
+
+        return {
+            source: new XMLSerializer().serializeToString(clone),
+            width: width + margin,
+            height: height + margin
+        };
+    }
+
+    /**
+     * Download the graph as an SVG image.
+     */
+    svg() {
+        const {source} = this.serialize();
+        download(new Blob([source], {type: 'image/svg+xml;charset=utf-8'}),
+            `${this.config.filename}.svg`
+        );
+    }
+
+    /**
+     * Download the graph as a PNG image.
+     */
+    png() {
+        const {source, width, height} = this.serialize();
+        const scale = window.devicePixelRatio || 1;
+        const url = URL.createObjectURL(
+            new Blob([source], {type: 'image/svg+xml;charset=utf-8'})
+        );
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => download(blob, `${this.config.filename}.png`));
+        };
+        image.src = url;
+    }
+
+    /**
+     * Retrieve the data points within the currently zoomed domain, with
+     * values converted to the unit of the graph.
+     */
+    getData() {
+        const domain = this.graph.x.domain();
+        const unit = this.graph.valueUnit;
+        const format = d3.timeFormat('%Y-%m-%d %H:%M:%S');
+        return _.map(_.filter(this.graph.data,
+            d => d.checked_date >= domain[0] && d.checked_date <= domain[1]
+        ), d => {
+            const row = {
+                checked_date: format(d.checked_date),
+                ok: d.ok
+            };
+            if (d.componentStatus) {
+                row.components = _.keys(d.componentStatus);
+            }
+            if (this.graph.componentHasValues) {
+                row.value = _.isFinite(d.value) ? unit.convert(d.value) : null;
+                row.unit = unit.key;
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Download the zoomed data points as a CSV file.
+     */
+    csv() {
+        const data = _.map(this.getData(), row => row.components ?
+            _.assign({}, row, {components: row.components.join(' ')}) : row
+        );
+        download(new Blob([d3.csvFormat(data)], {type: 'text/csv;charset=utf-8'}),
+            `${this.config.filename}.csv`
+        );
+    }
+
+    /**
+     * Download the zoomed data points as a JSON file.
+     */
+    json() {
+        download(new Blob([JSON.stringify(this.getData(), null, 2)], {
+            type: 'application/json;charset=utf-8'
+        }), `${this.config.filename}.json`);
+    }
+}
+
+export default Export;
@@ -0,0 +1,191 @@
+/**
+ * Linear trend of component values and a forecast of when they reach a limit.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import {formatDuration} from './format';
+
+// Length of a day in milliseconds, the period of the trend slope in texts
+export const day = 24 * 60 * 60 * 1000;
+
+// Minimum number of values within a domain to determine a trend
+const minimumValues = 3;
+
+/**
+ * Fit a linear trend by least squares to the values of the data points
+ * within the domain. The trend holds the `slope` per millisecond, the
+ * `intercept` at the time of the first value, and the `start` and `end`
+ * dates of the values. Returns `null` if there are too few values.
+ */
+export function getTrend(data, domain) {
+    const points = _.filter(data, d => _.isFinite(d.value) &&
+        d.checked_date >= domain[0] && d.checked_date <= domain[1]
+    );
+    if (points.length < minimumValues) {
+        return null;
+    }
+    const start = _.first(points).checked_date;
+    const end = _.last(points).checked_date;
+    const times = _.map(points, d => d.checked_date - start);
+    const meanTime = d3.mean(times);
+    const meanValue = d3.mean(points, d => d.value);
+    const variance = d3.sum(times, time => Math.pow(time - meanTime, 2));
+    if (variance <= 0 || !_.isFinite(variance)) {
+        return null;
+    }
+    const slope = d3.sum(points,
+        (d, i) => (times[i] - meanTime) * (d.value - meanValue)
+    ) / variance;
+    return {slope, intercept: meanValue - slope * meanTime, start, end};
+}
+
+/**
+ * Determine the value of a trend at a date.
+ */
+export function getTrendValue(trend, date) {
+    return trend.intercept + trend.slope * (date - trend.start);
+}
+
+/**
+ * Determine the capacity of the values, which is the configured capacity or
+ * otherwise the latest `max` of the data points within the domain, or `null`
+ * if there is neither.
+ */
+export function getCapacity(data, domain, capacity=null) {
+    if (_.isFinite(capacity)) {
+        return capacity;
+    }
+    const last = _.findLast(data, d => _.isFinite(d.max) &&
+        d.checked_date >= domain[0] && d.checked_date <= domain[1]
+    );
+    return last ? last.max : null;
+}
+
+/**
+ * Forecast when a trend reaches the capacity if it increases, or zero if it
+ * decreases. The forecast holds the `limit` that is reached (`capacity` or
+ * `zero`), the `date` at which it is reached and the `remaining` time in
+ * milliseconds after the last value. Returns `null` if the trend does not
+ * approach a limit, or reaches it beyond the horizon in milliseconds.
+ */
+export function getForecast(trend, capacity=null, horizon=Infinity) {
+    if (trend === null || trend.slope === 0) {
+        return null;
+    }
+    const current = getTrendValue(trend, trend.end);
+    let limit = null;
+    let target = null;
+    if (trend.slope > 0 && capacity !== null && current < capacity) {
+        limit = 'capacity';
+        target = capacity;
+    }
+    else if (trend.slope < 0 && current > 0) {
+        limit = 'zero';
+        target = 0;
+    }
+    else {
+        return null;
+    }
+    const remaining = (target - current) / trend.slope;
+    if (remaining > horizon) {
+        return null;
+    }
+    return {
+        limit,
+        date: new Date(trend.end.getTime() + remaining),
+        remaining
+    };
+}
+
+/**
+ * Describe a forecast in a short text, where values in seconds that reach
+ * zero are an expiry date.
+ */
+export function getForecastText(forecast, locales, expires=false) {
+    if (expires && forecast.limit === 'zero') {
+        return locales.message('forecast-expires', [
+            d3.timeFormat('%d %b %Y')(forecast.date)
+        ]);
+    }
+    return locales.message(`forecast-${forecast.limit}`, [
+        formatDuration(forecast.remaining, locales, 1)
+    ]);
+}
+
+const defaultConfiguration = {
+    element: d3.select('#forecast'), // The element which will contain the forecast
+    capacity: null, // Limit that increasing values reach, instead of the latest maximum
+    horizon: 90, // Number of days after which a forecast is not shown
+    expires: false, // Whether the values are a remaining time that expires
+};
+
+/**
+ * A forecast of a component in its header, based on the trend of the values
+ * within a domain.
+ */
+class Forecast {
+    /**
+     * Initialize a new forecast with the given configuration.
+     */
+    constructor(data, configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+        this.domain = null;
+
+        this.tag = this.config.element.append('span')
+            .classed('tag is-info is-light forecast is-hidden', true);
+
+        this.setData(data);
+        this.update(d3.extent(this.data, d => d.checked_date));
+    }
+
+    /**
+     * Replace the data and update the forecast for the current domain.
+     */
+    setData(data) {
+        this.data = data;
+        this.update(this.domain);
+    }
+
+    /**
+     * Update the displayed forecast to the trend within the given domain.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.domain = domain;
+        const forecast = getForecast(getTrend(this.data, domain),
+            getCapacity(this.data, domain, this.config.capacity),
+            this.config.horizon * day
+        );
+        this.tag.classed('is-hidden', forecast === null);
+        if (forecast === null) {
+            return;
+        }
+        const title = this.locales.message('forecast-title', [
+            d3.timeFormat('%d %b %Y %H:%M')(forecast.date)
+        ]);
+        this.tag.attr('title', title)
+            .text(getForecastText(forecast, this.locales, this.config.expires));
+    }
+}
+
+export default Forecast;
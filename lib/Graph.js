@@ -20,15 +20,36 @@
 
 import _ from 'lodash';
 import moment from 'moment';
-import {vsprintf} from 'sprintf-js';
 import * as d3 from 'd3';
 import Unit from './Unit';
+import {getBreaches, getBands} from './Thresholds';
+import {aggregate, getValueRange} from './aggregate';
+import {getCheckInterval, getGaps} from './gaps';
+import {formatDuration} from './format';
+import {day, getTrend, getTrendValue, getCapacity, getForecast, getForecastText} from './Forecast';
 
 const defaultConfiguration = {
     element: d3.select('svg#graph'), // The svg element which will contain the graph
     index: '0', // Has to be unique for each svg to be able to create unique id's
     preciseYAxis: true, // Whether to have a precise left y axis,
     valueUnit: undefined, // The unit for the right y
+    thresholds: null, // Warning and critical thresholds for the values
+    capacity: null, // Limit that increasing values reach, instead of the latest maximum
+    forecastHorizon: 90, // Number of days after which a forecast is not shown
+    expires: false, // Whether the values are a remaining time that expires
+    annotations: [], // Maintenance windows and deployments to mark on the graph
+    componentLabel: (name) => name, // Display label of a component in the tooltip
+    checkInterval: 0, // Seconds between checks, or 0 to infer it from the data
+    aggregate: true, // Whether to aggregate dense data points into time buckets
+    minimumDomain: 60 * 1000, // Shortest domain in milliseconds to zoom into with the wheel or a pinch
+    label: '', // Accessible name of the graph
+    helpId: 'graph-keyboard-help', // Id of the element describing keyboard use
+};
+
+// Colors of the lines when the stylesheet with the theme colors is missing
+const lineColors = {
+    status: 'rgb(0, 114, 178)',
+    value: 'rgb(230, 159, 0)'
 };
 
 /**
@@ -73,6 +94,12 @@ class Graph {
             .y(d => this.yValue(d.value))
             .defined(d => d.value);
 
+        this.envelopeArea = d3.area()
+            .x(d => this.x(d.checked_date))
+            .y0(d => this.yValue(getValueRange(d)[0]))
+            .y1(d => this.yValue(getValueRange(d)[1]))
+            .defined(d => d.value);
+
         this.bisectDate = d3.bisector(d => d.checked_date).left;
 
         // Determine the domains for x and y axis
@@ -120,7 +147,7 @@ class Graph {
         const yOkAxis = d3.axisLeft(this.yOk);
 
         // Whether this compontent has values to display
-        this.componentHasValues = !! this.data[this.data.length - 1].value;
+        this.componentHasValues = _.some(this.data, d => _.isFinite(d.value));
 
         // Only show 0 and 1 for a component graph
         if (! this.config.preciseYAxis) {
@@ -138,11 +165,15 @@ class Graph {
         this.idleDelay = 350;
 
         // Create the "OK status" line
-        this.createLine(g, this.okStatusLine, 'ok-status-line', 'rgb(0, 114, 178)');
+        this.createLine(g, this.okStatusLine, 'ok-status-line',
+            lineColors.status
+        );
 
         // Create the right y axis and "real value" line, only if this component has values to display
-        this.valueUnit = new Unit(this.config);
+        this.thresholds = null;
+        this.valueUnit = new Unit(this.config, this.locales);
         if (this.componentHasValues) {
+            this.valueUnit.setDomain(this.yValue.domain());
             this.yValueAxis = d3.axisRight(this.yValue);
 
             // Set right y axis in right format
@@ -153,34 +184,429 @@ class Graph {
                 .classed('axis y-axis-right', true)
                 .call(this.yValueAxis)
                 .append('text')
-                .classed('has-text-weight-bold', true)
+                .classed('axis-label has-text-weight-bold', true)
                 .attr('style', 'text-align: right')
-                .attr('fill', '#000')
                 .attr('y', -10)
                 .attr('x', 20)
                 .attr('dy', '0.71em')
                 .attr('text-anchor', 'end')
                 .text(this.locales.attribute('axes', this.valueUnit.key));
 
-            this.createLine(g, this.realValueLine, 'real-value-line', 'rgb(230, 159, 0)');
+            this.createEnvelope(g);
+            this.createLine(g, this.realValueLine, 'real-value-line',
+                lineColors.value
+            );
+            this.createTrend(g);
+
+            if (this.config.thresholds) {
+                this.createThresholds(g);
+            }
         }
         else {
             this.yValueAxis = null;
         }
 
-        this.focused = false;
+        this.createAnnotations(g);
+        this.createPrevious(g);
+        this.createGaps(svg, g);
+
+        this.createBrush(svg, margin);
+        this.createFocus(svg, g);
+        this.createAccessibility(svg);
+    }
+
+    /**
+     * Create the bands of the value thresholds and the highlights of periods
+     * where the values crossed them, behind the lines.
+     */
+    createThresholds(g) {
+        this.thresholds = g.insert('g', '.line')
+            .classed('thresholds', true)
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`);
+
+        this.thresholds.selectAll('.threshold-band')
+            .data(getBands(this.config.thresholds))
+            .enter()
+            .append('rect')
+            .attr('class', d => `threshold-band is-${d.level}`)
+            .attr('x', 0)
+            .attr('width', this.width);
+
+        this.updateThresholds();
+    }
+
+    /**
+     * Update the threshold bands and breach highlights to the current
+     * domains, optionally during a zoom transition.
+     */
+    updateThresholds(transition=null) {
+        if (!this.thresholds) {
+            return;
+        }
+
+        // Limit unbounded bands to the value domain
+        const [yMin, yMax] = this.yValue.domain();
+        const y = value => this.yValue(Math.max(yMin, Math.min(yMax, value)));
+        const bands = this.thresholds.selectAll('.threshold-band');
+        (transition ? bands.transition(transition) : bands)
+            .attr('y', d => y(d3.max(d.range)))
+            .attr('height', d => y(d3.min(d.range)) - y(d3.max(d.range)));
+
+        const breaches = this.thresholds.selectAll('.threshold-breach')
+            .data(getBreaches(this.data, this.config.thresholds))
+            .join('rect')
+            .attr('class', d => `threshold-breach is-${d.level}`)
+            .attr('y', 0)
+            .attr('height', this.height);
+        (transition ? breaches.transition(transition) : breaches)
+            .attr('x', d => this.x(d.start))
+            .attr('width', d => Math.max(1, this.x(d.end) - this.x(d.start)));
+    }
+
+    /**
+     * Create the shaded envelope of the minimum and maximum values, behind
+     * the value line.
+     */
+    createEnvelope(g) {
+        this.envelope = g.append('path')
+            .classed('envelope', true)
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`)
+            .datum(this.getRenderData())
+            .attr('d', this.envelopeArea);
+    }
+
+    /**
+     * Create the line of the linear trend of the values, in front of the
+     * value line.
+     */
+    createTrend(g) {
+        this.trend = null;
+        this.trendLine = g.append('line')
+            .classed('trend-line', true)
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`);
+        this.updateTrend();
+    }
+
+    /**
+     * Update the trend line to the values within the current domain,
+     * optionally during a zoom transition.
+     */
+    updateTrend(transition=null) {
+        if (!this.trendLine) {
+            return;
+        }
+        this.trend = getTrend(this.data, this.x.domain());
+        this.trendLine.style('display', this.trend ? null : 'none');
+        if (!this.trend) {
+            return;
+        }
+        const {start, end} = this.trend;
+        (transition ? this.trendLine.transition(transition) : this.trendLine)
+            .attr('x1', this.x(start))
+            .attr('y1', this.yValue(getTrendValue(this.trend, start)))
+            .attr('x2', this.x(end))
+            .attr('y2', this.yValue(getTrendValue(this.trend, end)));
+    }
+
+    /**
+     * Forecast when the trend of the values within the current domain
+     * reaches a limit, or `null` if it does not within the horizon.
+     */
+    getForecast() {
+        if (!this.trend) {
+            return null;
+        }
+        return getForecast(this.trend,
+            getCapacity(this.data, this.x.domain(), this.config.capacity),
+            this.config.forecastHorizon * day
+        );
+    }
+
+    /**
+     * Create the shaded regions and vertical markers of the annotations,
+     * behind the lines.
+     */
+    createAnnotations(g) {
+        this.annotations = g.insert('g', '.line')
+            .classed('annotations', true)
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`);
+
+        this.updateAnnotations();
+    }
+
+    /**
+     * Replace the annotations of the graph.
+     */
+    setAnnotations(annotations) {
+        this.config.annotations = annotations;
+        this.updateAnnotations();
+    }
+
+    /**
+     * Update the annotation regions and markers to the current domain,
+     * optionally during a zoom transition.
+     */
+    updateAnnotations(transition=null) {
+        if (!this.annotations) {
+            return;
+        }
+
+        const regions = this.annotations.selectAll('.annotation-region')
+            .data(_.filter(this.config.annotations, a => a.end !== null))
+            .join('rect')
+            .attr('class', d => `annotation-region is-${d.type}`)
+            .attr('y', 0)
+            .attr('height', this.height);
+        (transition ? regions.transition(transition) : regions)
+            .attr('x', d => this.x(d.start))
+            .attr('width', d => Math.max(1, this.x(d.end) - this.x(d.start)));
+
+        const markers = this.annotations.selectAll('.annotation-marker')
+            .data(_.filter(this.config.annotations, a => a.end === null))
+            .join('line')
+            .attr('class', d => `annotation-marker is-${d.type}`)
+            .attr('y1', 0)
+            .attr('y2', this.height);
+        (transition ? markers.transition(transition) : markers)
+            .attr('x1', d => this.x(d.start))
+            .attr('x2', d => this.x(d.start));
+    }
+
+    /**
+     * Create the ghost lines of the previous period, behind the lines.
+     */
+    createPrevious(g) {
+        this.previousData = null;
+        this.previous = g.insert('g', '.line')
+            .classed('previous', true)
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`)
+            .style('display', 'none');
+
+        this.previous.append('path')
+            .classed('previous-line ok-status-line', true)
+            .attr('fill', 'none');
+        if (this.componentHasValues) {
+            this.previous.append('path')
+                .classed('previous-line real-value-line', true)
+                .attr('fill', 'none');
+        }
+    }
+
+    /**
+     * Replace the data from which the previous period is displayed, or hide
+     * the previous period if the data is `null`.
+     */
+    setPrevious(data) {
+        this.previousData = data;
+        this.updatePrevious();
+    }
+
+    /**
+     * Determine the window of equal length before the current domain.
+     */
+    getPreviousDomain() {
+        const [start, end] = this.x.domain();
+        return [new Date(start - (end - start)), start];
+    }
+
+    /**
+     * Update the ghost lines of the previous period, aligned to the current
+     * domain, optionally during a zoom transition.
+     */
+    updatePrevious(transition=null) {
+        if (!this.previous) {
+            return;
+        }
+        this.previous.style('display', this.previousData ? null : 'none');
+        if (!this.previousData) {
+            return;
+        }
+
+        // Shift the data of the previous period onto the current domain
+        const domain = this.getPreviousDomain();
+        const offset = domain[1] - domain[0];
+        const renderData = _.map(this.getRenderData(this.previousData, domain),
+            d => _.assign({}, d, {
+                checked_date: new Date(d.checked_date.getTime() + offset)
+            })
+        );
+
+        const okLine = this.previous.select('.previous-line.ok-status-line')
+            .datum(renderData);
+        (transition ? okLine.transition(transition) : okLine)
+            .attr('d', this.okStatusLine(renderData));
+
+        if (this.componentHasValues) {
+            const valueLine = this.previous
+                .select('.previous-line.real-value-line')
+                .datum(renderData);
+            (transition ? valueLine.transition(transition) : valueLine)
+                .attr('d', this.realValueLine(renderData));
+        }
+    }
+
+    /**
+     * Create the hatched regions of the periods without data, in front of
+     * the lines.
+     */
+    createGaps(svg, g) {
+        const hatch = `graph-hatch-${this.config.index}`;
+        svg.select('defs')
+            .append('pattern')
+            .attr('id', hatch)
+            .attr('patternUnits', 'userSpaceOnUse')
+            .attr('width', 6)
+            .attr('height', 6)
+            .attr('patternTransform', 'rotate(45)')
+            .append('line')
+            .classed('gap-hatch', true)
+            .attr('x1', 0)
+            .attr('y1', 0)
+            .attr('x2', 0)
+            .attr('y2', 6);
+
+        this.gaps = g.append('g')
+            .classed('gaps', true)
+            .attr('clip-path', `url(#graph-clipper-${this.config.index})`)
+            .attr('fill', `url(#${hatch})`);
+
+        this.updateGaps();
+    }
+
+    /**
+     * Update the regions of the periods without data to the current data
+     * and domain, optionally during a zoom transition.
+     */
+    updateGaps(transition=null) {
+        if (!this.gaps) {
+            return;
+        }
+
+        this.gapPeriods = getGaps(this.data,
+            getCheckInterval(this.data, this.config.checkInterval)
+        );
+        const regions = this.gaps.selectAll('.gap')
+            .data(this.gapPeriods)
+            .join('rect')
+            .classed('gap', true)
+            .attr('y', 0)
+            .attr('height', this.height);
+        (transition ? regions.transition(transition) : regions)
+            .attr('x', d => this.x(d.start))
+            .attr('width', d => Math.max(1, this.x(d.end) - this.x(d.start)));
+    }
+
+    /**
+     * Retrieve the annotations at the given date. Regions contain the date
+     * while markers are within a few pixels of it.
+     */
+    getAnnotations(date) {
+        return _.filter(this.config.annotations, a => a.end !== null ?
+            a.start <= date && date <= a.end :
+            Math.abs(this.x(a.start) - this.x(date)) <= 3
+        );
+    }
+
+    /**
+     * Create the brush which allows selecting an area to zoom.
+     */
+    createBrush(svg, margin) {
+        this.pinned = false;
         this.focusData = null;
         this.brush = d3.brushX()
             .extent([[0, 0], [this.width, this.height + margin.top]])
-            .on("start", () => { this.focused = !this.focused; })
+            .filter(event => !event.ctrlKey && !event.shiftKey &&
+                !event.button && !event.touches
+            )
+            .on("start", () => { this.setPinned(!this.pinned); })
             .on("end", (event) => { this.brushed(event); });
 
         // The visible brush element, showed when drawing
-        svg.append("g")
+        const brush = svg.append("g")
             .attr("class", "brush")
             .attr('transform', `translate(${margin.left},${margin.top})`)
             .call(this.brush);
 
+        this.createPanZoom(brush);
+    }
+
+    /**
+     * Create the wheel and pinch zoom as well as panning by dragging with
+     * the shift key held or by touch, on the same element as the brush.
+     * The wheel only zooms with the Ctrl or Meta key held, which trackpads
+     * also send for a pinch, such that the page still scrolls over graphs.
+     */
+    createPanZoom(element) {
+        this.panStart = null;
+        this.panZoom = d3.zoom()
+            .filter(event => (event.type === 'wheel' &&
+                    (event.ctrlKey || event.metaKey)
+                ) ||
+                event.type.startsWith('touch') ||
+                (event.type === 'mousedown' && event.shiftKey && !event.button)
+            )
+            .on('start', (event) => {
+                this.panStart = {
+                    transform: event.transform,
+                    x: this.x.copy(),
+                    moved: false
+                };
+            })
+            .on('zoom', (event) => { this.panned(event); })
+            .on('end', () => {
+                const moved = this.panStart !== null && this.panStart.moved;
+                this.panStart = null;
+                if (moved) {
+                    this.dispatch.call('zoom', this, this.config.index,
+                        this.x.domain()
+                    );
+                }
+            });
+
+        element.call(this.panZoom)
+            .on('dblclick.zoom', null);
+    }
+
+    /**
+     * Callback invoked during a wheel or pinch zoom or a pan. The domain
+     * follows the change of the gesture since it started, within the start
+     * domain. Other graphs are notified when the gesture ends.
+     */
+    panned(event) {
+        if (this.panStart === null) {
+            return;
+        }
+        const {transform, x} = this.panStart;
+        this.panStart.moved = true;
+        const k = event.transform.k / transform.k;
+        const relative = d3.zoomIdentity
+            .translate(event.transform.x - transform.x * k, 0)
+            .scale(k);
+        this.x.domain(this.clampDomain(relative.rescaleX(x).domain()));
+        this.zoom(0);
+    }
+
+    /**
+     * Limit a domain to the start domain and the minimum domain length,
+     * keeping its center when it becomes shorter and its length when it is
+     * moved back within the start domain.
+     */
+    clampDomain([start, end]) {
+        const [minimum, maximum] = this.xStartDomain;
+        const length = Math.min(maximum - minimum,
+            Math.max(end - start, this.config.minimumDomain)
+        );
+        const center = (start.getTime() + end.getTime()) / 2;
+        const clampedStart = Math.max(minimum.getTime(),
+            Math.min(center - length / 2, maximum.getTime() - length)
+        );
+        return [new Date(clampedStart), new Date(clampedStart + length)];
+    }
+
+    /**
+     * Create the focus element and tooltip as well as the hover events.
+     */
+    createFocus(svg, g) {
         // Create the focus element, displayed when a data point is hovered
         this.focus = g.append("g")
             .classed('focus', true)
@@ -190,18 +616,7 @@ class Graph {
         this.focus.append("circle")
             .attr("r", 4);
 
-        const tooltip = this.focus.append('g')
-            .classed('tooltip', true);
-
-        tooltip.append('rect')
-            .attr('fill', 'rgb(0,0,0,0.8)')
-            .attr('width', 150);
-
-        // The text element which holds the actual tooltip
-        tooltip.append("text")
-            .attr("x", 15)
-            .attr("y", 5)
-            .attr("dy", ".31em");
+        this.createTooltip(svg);
 
         // Create the 'hover line' which displays a line to the x axis
         // when hovering over a data point
@@ -212,21 +627,285 @@ class Graph {
 
         // Display the tooltip when hovering over the graph
         svg.select('.overlay')
-            .on("focusout", () => { this.focused = false; })
+            .on("focusout", () => { this.setPinned(false); })
             .on("mouseover", () => this.focus.style("display", null))
             .on("mouseout", () => {
-                if (!this.focused) {
-                    // Remove the focus line
+                // Keep a pinned tooltip, otherwise remove the focus line
+                if (!this.pinned) {
                     this.focus.style("display", "none");
+                    this.hideTooltip();
                     this.dispatch.call('focus', this, this.config.index, null);
                 }
-                else {
-                    this.focused = false;
-                }
             })
             .on("mousemove", (event) => { this.mousemove(event); });
     }
 
+    /**
+     * Create the tooltip next to the graph, which sizes to its contents and
+     * stays in place when it is pinned with a click on the graph.
+     */
+    createTooltip(svg) {
+        const parent = d3.select(svg.node().parentNode)
+            .classed('has-graph-tooltip', true);
+
+        // Remove a tooltip left behind by a previous graph in the same place
+        d3.select(`#graph-tooltip-${this.config.index}`).remove();
+
+        this.tooltip = parent.append('div')
+            .attr('id', `graph-tooltip-${this.config.index}`)
+            .classed('graph-tooltip is-hidden', true);
+        this.tooltip.append('button')
+            .classed('delete is-small graph-tooltip-close', true)
+            .attr('title', this.locales.message('tooltip-unpin'))
+            .attr('aria-label', this.locales.message('tooltip-unpin'))
+            .on('click', () => {
+                this.setPinned(false);
+                this.updateFocus(null);
+                this.dispatch.call('focus', this, this.config.index, null);
+            });
+        this.tooltip.append('div')
+            .classed('graph-tooltip-content', true);
+    }
+
+    /**
+     * Pin or unpin the tooltip, where a pinned tooltip does not follow the
+     * mouse or the focus of other graphs.
+     */
+    setPinned(pinned) {
+        this.pinned = pinned;
+        if (this.tooltip) {
+            this.tooltip.classed('is-pinned', pinned);
+        }
+    }
+
+    /**
+     * Hide the tooltip.
+     */
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.classed('is-hidden', true);
+        }
+    }
+
+    /**
+     * Place the tooltip beside the focus element, on the left side when it
+     * would not fit on the right side of the graph.
+     */
+    positionTooltip() {
+        const parent = this.tooltip.node().parentNode.getBoundingClientRect();
+        const focus = this.focus.node().getBoundingClientRect();
+        const width = this.tooltip.node().offsetWidth;
+        const offset = 10;
+        let left = focus.right - parent.left + offset;
+        if (left + width > parent.width) {
+            left = Math.max(0, focus.left - parent.left - width - offset);
+        }
+        this.tooltip.style('left', `${left}px`)
+            .style('top', `${Math.max(0, focus.top - parent.top)}px`);
+    }
+
+    /**
+     * Make the graph usable with a keyboard and add a live region that reads
+     * out the tooltip as well as a visually hidden table of the data.
+     */
+    createAccessibility(svg) {
+        const node = svg.node();
+        const parent = d3.select(node.parentNode);
+        const next = () => node.nextSibling;
+
+        svg.attr('tabindex', 0)
+            .attr('role', 'group')
+            .attr('aria-label', this.config.label)
+            .attr('aria-describedby', this.config.helpId)
+            .on('keydown', (event) => { this.keydown(event); });
+
+        // Remove elements left behind by a previous graph in the same place
+        d3.select(`#graph-live-${this.config.index}`).remove();
+        d3.select(`#graph-table-${this.config.index}`).remove();
+
+        this.liveRegion = parent.insert('div', next)
+            .attr('id', `graph-live-${this.config.index}`)
+            .classed('is-sr-only', true)
+            .attr('aria-live', 'polite');
+
+        this.table = parent.insert('table', next)
+            .attr('id', `graph-table-${this.config.index}`)
+            .classed('is-sr-only', true);
+        this.table.append('caption')
+            .text(this.locales.message(this.componentHasValues ?
+                'table-caption-values' : 'table-caption', [this.config.label]
+            ));
+        this.table.append('thead').append('tr');
+        this.table.append('tbody');
+
+        this.updateTable();
+    }
+
+    /**
+     * Determine the columns and rows of the data table, which holds the data
+     * points within the domain where the status changed, or for components
+     * with values, where the status, value, minimum or maximum changed.
+     */
+    getTable() {
+        const domain = this.x.domain();
+        const format = d3.timeFormat('%d %b %Y %H:%M');
+        const isAverage = this.data.length > 0 &&
+            this.data[0].componentStatus !== undefined;
+        const hasRange = this.componentHasValues && _.some(this.data,
+            d => _.isFinite(d.min) || _.isFinite(d.max)
+        );
+        const formatValue = value => _.isFinite(value) ?
+            this.valueUnit.text(value) : '';
+        const getKey = d => this.componentHasValues ?
+            [d.ok, d.value, d.min, d.max] : [d.ok];
+
+        const columns = isAverage ? ['time', 'reliability', 'components'] :
+            ['time', 'status'].concat(
+                this.componentHasValues ? ['value'] : [],
+                hasRange ? ['minimum', 'maximum'] : []
+            );
+        const rows = [];
+        let previous = null;
+        this.data.forEach(d => {
+            const visible = d.checked_date >= domain[0] &&
+                d.checked_date <= domain[1];
+            if (visible &&
+                (rows.length === 0 || !_.isEqual(getKey(d), getKey(previous)))
+            ) {
+                rows.push(isAverage ? [
+                    format(d.checked_date),
+                    d3.format('.1%')(d.ok),
+                    _.keys(d.componentStatus).join(', ')
+                ] : [
+                    format(d.checked_date),
+                    this.locales.message(`ok-${d.ok ? 'yes' : 'no'}`)
+                ].concat(
+                    this.componentHasValues ? [formatValue(d.value)] : [],
+                    hasRange ? [formatValue(d.min), formatValue(d.max)] : []
+                ));
+            }
+            previous = d;
+        });
+        return {columns, rows};
+    }
+
+    /**
+     * Update the data table to the current domain.
+     */
+    updateTable() {
+        if (!this.table) {
+            return;
+        }
+        const {columns, rows} = this.getTable();
+        this.table.select('thead tr')
+            .selectAll('th')
+            .data(columns)
+            .join('th')
+            .attr('scope', 'col')
+            .text(d => this.locales.attribute('table-columns', d));
+        this.table.select('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .join('tr')
+            .selectAll('td')
+            .data(d => d)
+            .join('td')
+            .text(d => d);
+    }
+
+    /**
+     * Read out a text through the live region.
+     */
+    announce(text) {
+        if (this.liveRegion) {
+            this.liveRegion.text(text);
+        }
+    }
+
+    /**
+     * Retrieve the dates to which the focus can be moved with the keyboard.
+     */
+    getFocusDates() {
+        return _.map(this.data, d => d.checked_date);
+    }
+
+    /**
+     * Move the focus to a date, show the tooltip and notify other graphs.
+     */
+    moveFocus(date) {
+        this.updateFocus(date);
+        this.showTooltip();
+        this.dispatch.call('focus', this, this.config.index, date);
+    }
+
+    /**
+     * Zoom the graph to the given domain and notify other graphs.
+     */
+    zoomTo(domain) {
+        this.x.domain(domain);
+        this.zoom();
+        this.dispatch.call('zoom', this, this.config.index, this.x.domain());
+    }
+
+    /**
+     * Callback invoked when a key is pressed while the graph has focus.
+     * Arrow keys, Home and End move the focus between data points, plus and
+     * minus zoom in and out, and Escape or zero resets the zoom.
+     */
+    keydown(event) {
+        const domain = this.x.domain();
+        const dates = _.filter(this.getFocusDates(),
+            date => date >= domain[0] && date <= domain[1]
+        );
+        const focusDate = this.focusData !== null ? this.focusDate : null;
+        const center = focusDate !== null ? focusDate :
+            new Date((domain[0].getTime() + domain[1].getTime()) / 2);
+        const width = domain[1] - domain[0];
+
+        let index = null;
+        switch (event.key) {
+            case 'ArrowLeft':
+                index = focusDate === null ? dates.length - 1 :
+                    d3.bisectLeft(dates, focusDate) - 1;
+                break;
+            case 'ArrowRight':
+                index = focusDate === null ? 0 :
+                    d3.bisectRight(dates, focusDate);
+                break;
+            case 'Home':
+                index = 0;
+                break;
+            case 'End':
+                index = dates.length - 1;
+                break;
+            case '+':
+            case '=':
+                this.zoomTo([
+                    new Date(center.getTime() - width / 4),
+                    new Date(center.getTime() + width / 4)
+                ]);
+                break;
+            case '-':
+            case '_':
+                this.zoomTo([
+                    new Date(Math.max(this.xStartDomain[0], center.getTime() - width)),
+                    new Date(Math.min(this.xStartDomain[1], center.getTime() + width))
+                ]);
+                break;
+            case 'Escape':
+            case '0':
+                this.zoomTo(this.xStartDomain);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+
+        if (index !== null && dates.length > 0) {
+            this.moveFocus(dates[Math.max(0, Math.min(dates.length - 1, index))]);
+        }
+    }
+
     /**
      * Callback invoked when a user selects an area to zoom.
      */
@@ -244,7 +923,7 @@ class Graph {
             }
 
             // Let the focus line move freely
-            this.focused = false;
+            this.setPinned(false);
         } else {
             // Set a timeout so that the above null brush move doesn't invoke this
             if (!this.idleTimeout) {
@@ -270,63 +949,130 @@ class Graph {
      * Callback invoked when the mouse is moved.
      */
     mousemove(event) {
-        if (this.focused) {
+        if (this.pinned) {
             return;
         }
         // Get the data for the current date point and calculate the correct coordinates
         const x0 = this.x.invert(d3.pointer(event)[0]);
         this.updateFocus(x0);
+        this.showTooltip();
 
-        const tooltip = this.focus.select('.tooltip');
-        const tooltipText = tooltip.select('text');
+        this.dispatch.call('focus', this, this.config.index, x0);
+    }
 
-        // Clear current tooltip
-        tooltipText.html('');
-        tooltip.style('display', null);
+    /**
+     * Retrieve the lines of text of the tooltip for the focused data.
+     */
+    getTooltipLines() {
+        let text = d3.timeFormat('%d %b %Y %H:%M:%S')(this.focusData.checked_date);
 
-        tooltipText.append('tspan')
-            .attr('x', 15)
-            .attr('dy', '1.2em')
-            .attr('style', 'font-size: 0.8em')
-            .text(() => {
-                let text = d3.timeFormat('%d %b %H:%M')(this.focusData.checked_date);
+        if (!this.focusData.componentStatus) {
+            text = this.locales.message('status-component-tooltip', [
+                text, this.locales.message(`ok-${this.focusData.ok ? 'yes' : 'no'}`)
+            ]);
+        }
+        else if (_.size(this.focusData.componentStatus) === 0) {
+            text = this.locales.message('status-tooltip', [text]);
+        }
 
-                if (!this.focusData.componentStatus) {
-                    text = this.locales.message('status-component-tooltip', [
-                        text, this.locales.message(`ok-${this.focusData.ok ? 'yes' : 'no'}`)
-                    ]);
-                }
-                else if (_.size(this.focusData.componentStatus) === 0) {
-                    text = this.locales.message('status-tooltip', [text]);
-                }
+        // Show how the average was computed
+        const lines = [text];
+        if (this.focusData.mode) {
+            lines.push(this.locales.message('average-tooltip', [
+                this.locales.attribute('average-modes', this.focusData.mode),
+                d3.format('.1%')(this.focusData.ok)
+            ]));
+        }
 
-                return text;
-            });
+        // Show when the status last changed and how long it has lasted
+        const state = this.getStateStart();
+        lines.push(state.changed ? this.locales.message('tooltip-change', [
+            d3.timeFormat('%d %b %Y %H:%M:%S')(state.date)
+        ]) : this.locales.message('tooltip-no-change'));
+        lines.push(this.locales.message('tooltip-duration', [
+            formatDuration(this.focusData.checked_date - state.date, this.locales)
+        ]));
 
         // Show each component that isn't "OK"
-        _.forEach(this.focusData.componentStatus, function (value, key) {
-            tooltipText.append('tspan')
-                .attr('x', 15)
-                .attr('dy', '1.2em')
-                .text(key);
-        });
+        lines.push(..._.map(_.keys(this.focusData.componentStatus),
+            this.config.componentLabel
+        ));
         if (this.focusData.value) {
-            const unit = this.valueUnit.key !== '' ?
-                vsprintf(this.locales.attribute('units', this.valueUnit.key), [
-                    this.valueUnit.format(this.focusData.value)
-                ]) : this.valueUnit.format(this.focusData.value);
-            tooltipText.append('tspan')
-                .attr('x', 15)
-                .attr('dy', '1.2em')
-                .text(unit);
+            lines.push(this.valueUnit.text(this.focusData.value));
+        }
+        const [low, high] = getValueRange(this.focusData);
+        if (this.focusData.value && low !== high) {
+            lines.push(this.locales.message('envelope-tooltip', [
+                this.valueUnit.text(low), this.valueUnit.text(high)
+            ]));
         }
 
-        const tooltipTextLength = tooltipText.selectAll('tspan').size();
+        // Show the trend of the visible values and when it reaches a limit
+        if (this.trend) {
+            const slope = this.trend.slope * day;
+            lines.push(this.locales.message('trend-tooltip', [
+                (slope < 0 ? '-' : '+') + this.valueUnit.text(Math.abs(slope))
+            ]));
+            const forecast = this.getForecast();
+            if (forecast !== null) {
+                lines.push(getForecastText(forecast, this.locales,
+                    this.config.expires
+                ));
+            }
+        }
 
-        // Add the tooltip background with the right height
-        tooltip.select('rect').attr('height', 19.2 * tooltipTextLength + 15);
+        // Show whether the status is unknown at the focused time
+        if (_.some(this.gapPeriods,
+            gap => gap.start <= this.focusDate && this.focusDate <= gap.end
+        )) {
+            lines.push(this.locales.message('gap-tooltip'));
+        }
 
-        this.dispatch.call('focus', this, this.config.index, x0);
+        // Show the annotations at the focused time
+        this.getAnnotations(this.focusDate).forEach(annotation => {
+            const type = this.locales.attribute('annotation-types',
+                annotation.type
+            );
+            lines.push(annotation.label ? this.locales.message(
+                'annotation-tooltip', [type, annotation.label]
+            ) : type);
+        });
+        return lines;
+    }
+
+    /**
+     * Determine when the status of the focused data point started, which is
+     * the first of the consecutive data points with the same status, and
+     * whether the status changed then rather than at the start of the data.
+     */
+    getStateStart() {
+        let i = this.bisectDate(this.data, this.focusData.checked_date);
+        while (i > 0 && this.data[i - 1].ok === this.focusData.ok) {
+            i--;
+        }
+        return {date: this.data[i].checked_date, changed: i > 0};
+    }
+
+    /**
+     * Display the tooltip of the focused data and read it out.
+     */
+    showTooltip() {
+        if (this.focusData === null) {
+            return;
+        }
+        const lines = this.getTooltipLines();
+
+        this.tooltip.classed('is-hidden', false)
+            .classed('is-pinned', this.pinned)
+            .select('.graph-tooltip-content')
+            .selectAll('p')
+            .data(lines)
+            .join('p')
+            .classed('graph-tooltip-time', (d, i) => i === 0)
+            .text(d => d);
+        this.positionTooltip();
+
+        this.announce(lines.join(', '));
     }
 
     /**
@@ -334,9 +1080,16 @@ class Graph {
      * a mouse move or during  zoom transition.
      */
     updateFocus(x0) {
-        this.focus.select(".tooltip").style("display", "none");
+        // A pinned tooltip moves along after a zoom transition
+        if (this.pinned && x0 !== null && typeof x0.transition === "function") {
+            x0.on('end.tooltip', () => this.showTooltip());
+        }
+        else {
+            this.hideTooltip();
+        }
 
         if (x0 === null) {
+            this.setPinned(false);
             this.focus.style("display", "none");
             this.focusData = null;
             return;
@@ -346,6 +1099,7 @@ class Graph {
         const transition = typeof x0.transition === "function" ? x0 : null;
 
         if (transition === null) {
+            this.focusDate = x0;
             const i = this.bisectDate(this.data, x0, 1),
                 d0 = this.data[i - 1],
                 d1 = this.data[i] || this.data[i - 1];
@@ -366,13 +1120,25 @@ class Graph {
     }
 
     /**
-     * Add a dataline to the given element.
+     * Retrieve the data points to draw for the current x domain, which are
+     * aggregated when there are more points than pixels to show them.
      */
-    createLine(element, line, classes = '', color = 'steelblue') {
+    getRenderData(data=this.data, domain=this.x.domain()) {
+        if (!this.config.aggregate) {
+            return data;
+        }
+        return aggregate(data, domain, this.width);
+    }
+
+    /**
+     * Add a dataline to the given element. The color of the line is taken
+     * from the theme unless another color is given.
+     */
+    createLine(element, line, classes = '', color = null) {
         element.append('path')
             .attr('clip-path', `url(#graph-clipper-${this.config.index})`)
             .classed(`line ${classes}`, true)
-            .datum(this.data)
+            .datum(this.getRenderData())
             .attr('fill', 'none')
             .attr('stroke', color)
             .attr('stroke-linejoin', 'round')
@@ -381,15 +1147,88 @@ class Graph {
             .attr('d', line);
     }
 
+    /**
+     * Remove the graph elements, leaving the SVG element itself in place.
+     */
+    destroy() {
+        if (this.idleTimeout) {
+            clearTimeout(this.idleTimeout);
+            this.idleTimeout = null;
+        }
+        this.config.element.interrupt()
+            .on('keydown', null)
+            .attr('tabindex', null)
+            .attr('role', null)
+            .attr('aria-label', null)
+            .attr('aria-describedby', null)
+            .html('');
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+        }
+        if (this.table) {
+            this.table.remove();
+        }
+        if (this.tooltip) {
+            this.tooltip.remove();
+        }
+    }
+
+    /**
+     * Change the size of the graph in pixels, keeping the current zoom
+     * domain, previous period and focused time.
+     */
+    resize(width, height) {
+        const svg = this.config.element;
+        if (+svg.attr('width') === width && +svg.attr('height') === height) {
+            return;
+        }
+        const domain = this.x.domain();
+        const previousData = this.previousData;
+        const focusDate = this.focusData !== null &&
+            this.focus.style('display') !== 'none' ? this.focusDate : null;
+
+        this.destroy();
+        svg.attr('width', width).attr('height', height);
+        this.create();
+
+        this.x.domain(domain);
+        this.setPrevious(previousData);
+        this.zoom();
+        if (focusDate !== null) {
+            this.updateFocus(focusDate);
+        }
+    }
+
+    /**
+     * Replace the data of the graph, keeping the current zoom domain and
+     * focused time.
+     */
+    update(data) {
+        this.data = data;
+
+        this.xStartDomain = d3.extent(this.data, d => d.checked_date);
+        this.yValueStartDomain = [0, d3.max(this.data, d => d.max ? d.max : d.value)];
+
+        // Move a displayed focus to the closest new data point
+        if (this.focusData !== null && this.focus.style('display') !== 'none') {
+            this.updateFocus(this.focusData.checked_date);
+        }
+
+        this.zoom();
+    }
+
     /**
      * Zoom the graph to hold the values within the interval designated by
-     * a moment duration.
+     * a moment duration, or to a domain with start and end dates.
      */
     setDomain(duration) {
         if (moment.isDuration(duration)) {
             const maxDate = d3.max(this.data, d => d.checked_date);
             this.x.domain([moment(maxDate).subtract(duration).toDate(), maxDate]);
         }
+        else if (_.isArray(duration)) {
+            this.x.domain(duration);
+        }
         else {
             this.x.domain(d3.extent(this.data, d => d.checked_date));
         }
@@ -402,11 +1241,12 @@ class Graph {
     }
 
     /**
-     * Zoom the graph to the current x domain.
+     * Zoom the graph to the current x domain, with a transition of the given
+     * duration in milliseconds.
      */
-    zoom() {
+    zoom(duration=750) {
         // Update the x axis and the data line with a transition
-        const transition = this.config.element.transition().duration(750);
+        const transition = this.config.element.transition().duration(duration);
 
         // Update the x axis with the new domain
         this.config.element.select(".x-axis").transition(transition).call(this.xAxis);
@@ -416,24 +1256,44 @@ class Graph {
             const yValueDomain = [0, d3.max(this.data, d => d.checked_date >= xDomain[0] && d.checked_date <= xDomain[1] ? (d.max || d.value) : 0)];
             this.yValue.domain(yValueDomain);
 
+            // Scale the unit to the new domain and update the axis label
+            this.valueUnit.setDomain(yValueDomain);
+            this.config.element.select(".y-axis-right .axis-label")
+                .text(this.locales.attribute('axes', this.valueUnit.key));
+
             // Update the y value axis with the new domain
             this.config.element.select(".y-axis-right").transition(transition).call(this.yValueAxis);
+
+            this.updateThresholds(transition);
         }
+        this.updateAnnotations(transition);
+        this.updatePrevious(transition);
+        this.updateGaps(transition);
 
-        // Update the line to the new domain
+        // Update the line to the new domain, with a level of detail that
+        // fits the domain
+        const renderData = this.getRenderData();
         this.config.element.select(".line.ok-status-line")
+            .datum(renderData)
             .transition(transition)
-            .attr("d", this.okStatusLine(this.data));
+            .attr("d", this.okStatusLine(renderData));
 
         // If there is a value line, update that as well
         if (this.componentHasValues) {
             this.config.element.select(".line.real-value-line")
+                .datum(renderData)
                 .transition(transition)
-                .attr("d", this.realValueLine(this.data));
+                .attr("d", this.realValueLine(renderData));
+            this.envelope.datum(renderData)
+                .transition(transition)
+                .attr('d', this.envelopeArea(renderData));
+            this.updateTrend(transition);
         }
 
         // Update the focus element to the new domain
         this.updateFocus(this.focus.transition(transition));
+
+        this.updateTable();
     }
 }
 
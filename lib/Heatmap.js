@@ -0,0 +1,263 @@
+/**
+ * Heatmap overview of the OK status of all components over time.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import {getGraphSize} from './resize';
+
+const defaultConfiguration = {
+    element: d3.select('#heatmap'), // The element which will contain the heatmap
+    index: 'heatmap', // Source index for dispatched zoom events
+    width: null, // Width of the heatmap, including the labels, or `null` to fill the element
+    labelWidth: 180, // Largest width of the component labels
+    rowHeight: 14, // Height of each component row
+    cellWidth: 8, // Preferred width of each time bucket
+    componentTitle: (name) => name, // Display title of a component name
+};
+
+/**
+ * A heatmap with a row for each component and a column for each time bucket,
+ * colored by the fraction of OK checks within the bucket.
+ */
+class Heatmap {
+    /**
+     * Initialize a new heatmap of the grouped component data.
+     */
+    constructor(data, dispatch, configuration = {}, locales=null) {
+        this.dispatch = dispatch;
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+        this.domain = null;
+
+        this.color = d3.scaleSequential(d3.interpolateYlOrRd).domain([1, 0]);
+
+        this.setData(data);
+    }
+
+    /**
+     * Replace the data and redraw the heatmap.
+     */
+    setData(data) {
+        this.data = data;
+        this.create();
+        if (this.domain !== null) {
+            this.update(this.domain);
+        }
+    }
+
+    /**
+     * Divide the data of each component into time buckets with the number of
+     * checks and the fraction of them that was OK.
+     */
+    getBuckets() {
+        const [start, end] = this.x.domain();
+        const step = Math.max(1, (end - start) / this.bucketCount);
+        const cells = [];
+        this.data.forEach((values, name) => {
+            const buckets = _.times(this.bucketCount, i => ({
+                name,
+                start: new Date(start.getTime() + i * step),
+                end: new Date(start.getTime() + (i + 1) * step),
+                checks: 0,
+                ok: 0
+            }));
+            values.forEach(d => {
+                const i = Math.min(this.bucketCount - 1,
+                    Math.floor((d.checked_date - start) / step)
+                );
+                if (i >= 0) {
+                    buckets[i].checks++;
+                    buckets[i].ok += d.ok;
+                }
+            });
+            buckets.forEach(bucket => {
+                bucket.fraction = bucket.checks > 0 ?
+                    bucket.ok / bucket.checks : null;
+            });
+            cells.push(...buckets);
+        });
+        return cells;
+    }
+
+    /**
+     * Create the heatmap.
+     */
+    create() {
+        this.config.element.html('');
+
+        // Labels take up at most a third of a narrow heatmap
+        this.width = getGraphSize(this.config.element.node(), {
+            width: this.config.width,
+            fallback: 960
+        }).width;
+        const names = Array.from(this.data.keys());
+        const margin = {
+            top: 10,
+            right: 10,
+            bottom: 30,
+            left: Math.min(this.config.labelWidth, Math.floor(this.width / 3))
+        };
+        const width = this.width - margin.left - margin.right;
+        const height = names.length * this.config.rowHeight;
+
+        this.details = this.config.element.append('p')
+            .classed('heatmap-details', true)
+            .html('&nbsp;');
+
+        const svg = this.config.element.append('svg')
+            .classed('heatmap', true)
+            .attr('width', this.width)
+            .attr('height', height + margin.top + margin.bottom);
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        this.x = d3.scaleTime()
+            .domain(d3.extent(_.flatMap(Array.from(this.data.values()),
+                values => d3.extent(values, d => d.checked_date)
+            )))
+            .range([0, width]);
+        this.y = d3.scaleBand()
+            .domain(names)
+            .range([0, height])
+            .paddingInner(0.1);
+        this.bucketCount = Math.max(1, Math.floor(width / this.config.cellWidth));
+
+        g.append('g')
+            .classed('axis x-axis', true)
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(this.x));
+
+        g.append('g')
+            .classed('axis y-axis-left heatmap-labels', true)
+            .call(d3.axisLeft(this.y)
+                .tickSize(0)
+                .tickFormat(this.config.componentTitle)
+            );
+
+        g.append('g')
+            .classed('cells', true)
+            .selectAll('rect')
+            .data(this.getBuckets())
+            .enter()
+            .append('rect')
+            .classed('heatmap-cell', true)
+            .classed('is-empty', d => d.fraction === null)
+            .attr('x', d => this.x(d.start))
+            .attr('y', d => this.y(d.name))
+            .attr('width', d => Math.max(1, this.x(d.end) - this.x(d.start)))
+            .attr('height', this.y.bandwidth())
+            .attr('fill', d => d.fraction === null ? null : this.color(d.fraction));
+
+        // The currently zoomed domain of the graphs
+        this.viewport = g.append('rect')
+            .classed('heatmap-viewport', true)
+            .attr('y', 0)
+            .attr('height', height)
+            .attr('x', 0)
+            .attr('width', width);
+
+        // Brush a column range to zoom the graphs
+        const brush = d3.brushX()
+            .extent([[0, 0], [width, height]])
+            .on('end', (event) => {
+                if (!event.selection || !event.sourceEvent) {
+                    return;
+                }
+                const domain = event.selection.map(this.x.invert);
+                g.select('.brush').call(brush.move, null);
+                this.dispatch.call('zoom', this, this.config.index, domain);
+            });
+
+        g.append('g')
+            .classed('brush', true)
+            .call(brush);
+
+        // Show details of the hovered cell
+        g.select('.overlay')
+            .on('mousemove.details', (event) => {
+                this.showDetails(d3.pointer(event));
+            })
+            .on('mouseout.details', () => {
+                this.showDetails(null);
+            });
+    }
+
+    /**
+     * Display the details of the cell at the given position within the
+     * heatmap, or clear them if the position is `null`.
+     */
+    showDetails(position) {
+        let cell = null;
+        if (position !== null) {
+            const row = Math.floor(position[1] / this.y.step());
+            const name = this.y.domain()[row];
+            cell = this.config.element.selectAll('.heatmap-cell')
+                .filter(d => d.name === name &&
+                    this.x(d.start) <= position[0] && this.x(d.end) > position[0]
+                );
+        }
+        this.config.element.selectAll('.heatmap-cell.is-hovered')
+            .classed('is-hovered', false);
+
+        if (cell === null || cell.empty()) {
+            this.details.html('&nbsp;');
+            return;
+        }
+        cell.classed('is-hovered', true);
+
+        const d = cell.datum();
+        const format = d3.timeFormat('%d %b %Y %H:%M');
+        this.details.text(this.locales.message(
+            d.fraction === null ? 'heatmap-empty' : 'heatmap-details', [
+                this.config.componentTitle(d.name), format(d.start),
+                format(d.end), d3.format('.1%')(d.fraction), d.checks
+            ]
+        ));
+    }
+
+    /**
+     * Redraw the heatmap if the width of the element changed.
+     */
+    resize() {
+        const {width} = getGraphSize(this.config.element.node(), {
+            width: this.config.width,
+            fallback: 960
+        });
+        if (width !== this.width) {
+            this.setData(this.data);
+        }
+    }
+
+    /**
+     * Highlight the given zoomed domain of the graphs.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.domain = domain;
+        const [start, end] = this.x.range();
+        const x0 = Math.max(start, Math.min(end, this.x(domain[0])));
+        const x1 = Math.max(start, Math.min(end, this.x(domain[1])));
+        this.viewport.attr('x', x0).attr('width', x1 - x0);
+    }
+}
+
+export default Heatmap;
@@ -0,0 +1,188 @@
+/**
+ * Sortable list of outage incidents.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import {formatDuration} from './format';
+
+const defaultConfiguration = {
+    element: d3.select('#incidents'), // The element which will contain the list
+    index: 'incidents', // Source index for dispatched zoom events
+    componentTitle: (name) => name, // Display title of a component name
+    padding: 0.1, // Fraction of the incident duration to show around it when zooming
+};
+
+// Sortable columns with the value to sort incidents by
+const columns = {
+    start: incident => incident.start,
+    end: incident => incident.end,
+    duration: incident => incident.duration,
+    components: incident => incident.components.length
+};
+
+/**
+ * A table of incidents, which are periods where any component was not OK.
+ */
+class Incidents {
+    /**
+     * Initialize a new incident list from outages of the average reliability.
+     */
+    constructor(outages, dispatch, configuration = {}, locales=null) {
+        this.dispatch = dispatch;
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.sortKey = 'start';
+        this.sortAscending = false;
+
+        this.setOutages(outages);
+    }
+
+    /**
+     * Replace the incidents with those from the given outages, keeping the
+     * sort order.
+     */
+    setOutages(outages) {
+        this.incidents = _.map(outages, outage => ({
+            start: new Date(outage.start),
+            end: new Date(outage.end),
+            duration: outage.end - outage.start,
+            components: _.union(..._.map(outage.items,
+                item => _.keys(item.componentStatus)
+            )).sort()
+        }));
+
+        this.create();
+    }
+
+    /**
+     * Create the table and its header.
+     */
+    create() {
+        this.config.element.html('');
+
+        if (this.incidents.length === 0) {
+            this.config.element.append('p')
+                .classed('no-incidents', true)
+                .text(this.locales.message('incidents-none'));
+            return;
+        }
+
+        const table = this.config.element.append('table')
+            .classed('table is-fullwidth is-hoverable is-narrow incidents', true);
+
+        const header = table.append('thead')
+            .append('tr')
+            .selectAll('th')
+            .data(_.keys(columns))
+            .enter()
+            .append('th')
+            .attr('tabindex', 0)
+            .on('click', (event, key) => this.sort(key))
+            .on('keydown', (event, key) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.sort(key);
+                }
+            });
+
+        header.append('span')
+            .text(key => this.locales.attribute('incident-columns', key));
+        header.append('span')
+            .classed('icon is-small sort-icon', true)
+            .append('i');
+
+        this.body = table.append('tbody');
+
+        this.update();
+    }
+
+    /**
+     * Sort the incidents by the given column, toggling the direction when
+     * the column is already sorted on.
+     */
+    sort(key) {
+        if (this.sortKey === key) {
+            this.sortAscending = !this.sortAscending;
+        }
+        else {
+            // Latest, longest and widest incidents first by default
+            this.sortKey = key;
+            this.sortAscending = false;
+        }
+        this.update();
+    }
+
+    /**
+     * Update the table rows in the current sort order.
+     */
+    update() {
+        const order = this.sortAscending ? d3.ascending : d3.descending;
+        const incidents = _.clone(this.incidents).sort(
+            (a, b) => order(columns[this.sortKey](a), columns[this.sortKey](b))
+        );
+
+        this.config.element.selectAll('th')
+            .attr('aria-sort', key => key !== this.sortKey ? 'none' :
+                (this.sortAscending ? 'ascending' : 'descending')
+            )
+            .select('.sort-icon i')
+            .attr('class', key => `fas ${key !== this.sortKey ? 'fa-sort' :
+                (this.sortAscending ? 'fa-sort-up' : 'fa-sort-down')
+            }`);
+
+        const format = d3.timeFormat('%d %b %Y %H:%M');
+        const rows = this.body.selectAll('tr')
+            .data(incidents)
+            .join('tr')
+            .attr('tabindex', 0)
+            .attr('title', this.locales.message('incidents-zoom'))
+            .on('click', (event, incident) => this.select(incident))
+            .on('keydown', (event, incident) => {
+                if (event.key === 'Enter') {
+                    this.select(incident);
+                }
+            });
+
+        rows.selectAll('td')
+            .data(incident => [
+                format(incident.start),
+                format(incident.end),
+                formatDuration(incident.duration, this.locales),
+                _.map(incident.components, this.config.componentTitle).join(', ')
+            ])
+            .join('td')
+            .text(d => d);
+    }
+
+    /**
+     * Zoom all graphs to the period of the given incident.
+     */
+    select(incident) {
+        const padding = incident.duration * this.config.padding;
+        const domain = [
+            new Date(incident.start.getTime() - padding),
+            new Date(incident.end.getTime() + padding)
+        ];
+        this.dispatch.call('zoom', this, this.config.index, domain);
+    }
+}
+
+export default Incidents;
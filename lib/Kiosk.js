@@ -0,0 +1,134 @@
+/**
+ * Kiosk mode for wall displays which cycles through the projects.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const defaultConfiguration = {
+    element: d3.select('#kiosk-summary'), // The element which will contain the status summary
+    root: d3.select('body'), // The element which is marked as being in kiosk mode
+    interval: 60, // Number of seconds that each project is displayed
+    setProject: (project) => {}, // Callback to display a project
+    hasOutage: (project) => Promise.resolve(false), // Whether a project has a current outage
+    componentTitle: (name) => name, // Display title of a component name
+};
+
+/**
+ * A compact display of the average reliability of each project in turn,
+ * starting with the projects that have a current outage.
+ */
+class Kiosk {
+    /**
+     * Initialize the kiosk mode with the given configuration.
+     */
+    constructor(configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.projects = [];
+        this.queue = [];
+        this.timer = null;
+
+        this.config.root.classed('is-kiosk', true);
+    }
+
+    /**
+     * Start cycling through the given project names.
+     */
+    start(projects) {
+        this.projects = projects;
+        this.next();
+    }
+
+    /**
+     * Stop cycling through the projects.
+     */
+    stop() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Determine the order of the next round of projects, where projects with
+     * a current outage come first and the others keep their order.
+     */
+    order() {
+        return Promise.all(_.map(this.projects, project =>
+            this.config.hasOutage(project).catch(() => false)
+        )).then(outages => _.sortBy(this.projects,
+            (project, i) => outages[i] ? 0 : 1
+        ));
+    }
+
+    /**
+     * Display the next project and schedule the one after it.
+     */
+    next() {
+        this.stop();
+        const round = _.isEmpty(this.queue) ?
+            this.order().then(projects => {
+                this.queue = projects;
+            }) : Promise.resolve();
+        round.then(() => {
+            const project = this.queue.shift();
+            if (project !== undefined) {
+                this.config.setProject(project);
+            }
+            this.timer = setTimeout(() => this.next(),
+                this.config.interval * 1000
+            );
+        });
+    }
+
+    /**
+     * Display a summary of the status of a project in large type, based on
+     * its latest average reliability data point and its uptime.
+     */
+    update(title, latest, uptime) {
+        this.config.element.html('');
+        const outage = latest ? _.keys(latest.componentStatus) : [];
+
+        this.config.element.append('p')
+            .classed('title is-1 kiosk-project', true)
+            .text(title);
+
+        this.config.element.append('p')
+            .classed('title is-2 kiosk-status', true)
+            .classed('has-text-success', _.isEmpty(outage))
+            .classed('has-text-danger', !_.isEmpty(outage))
+            .text(_.isEmpty(outage) ? this.locales.message('kiosk-ok') :
+                this.locales.message('kiosk-outage', [
+                    _.map(outage, this.config.componentTitle).join(', ')
+                ])
+            );
+
+        if (uptime !== null) {
+            this.config.element.append('p')
+                .classed('subtitle is-3 kiosk-uptime', true)
+                .text(this.locales.message('kiosk-uptime', [
+                    d3.format('.2%')(uptime)
+                ]));
+        }
+    }
+}
+
+export default Kiosk;
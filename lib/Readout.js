@@ -0,0 +1,128 @@
+/**
+ * Side panel with the status of every component at the focused time.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import Unit from './Unit';
+
+const defaultConfiguration = {
+    element: d3.select('#readout'), // The element which will contain the readout
+    componentTitle: (name) => name, // Display title of a component name
+    componentUnit: (name) => undefined, // Unit of the values of a component
+};
+
+const bisectDate = d3.bisector(d => d.checked_date);
+
+/**
+ * A list of the latest check of each component at or before the focused
+ * time, with its status and value.
+ */
+class Readout {
+    /**
+     * Initialize a new readout of the grouped component data.
+     */
+    constructor(data, configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+        this.date = null;
+
+        this.config.element.html('')
+            .attr('aria-label', this.locales.message('readout'));
+        this.title = this.config.element.append('p')
+            .classed('heading readout-time', true);
+        this.list = this.config.element.append('ul')
+            .classed('readout-list', true);
+
+        this.setData(data);
+    }
+
+    /**
+     * Replace the data and update the readout for the current time.
+     */
+    setData(data) {
+        this.data = data;
+        this.units = new Map(Array.from(this.data.keys(), name => [
+            name, new Unit({valueUnit: this.config.componentUnit(name)},
+                this.locales
+            )
+        ]));
+        this.update(this.date);
+    }
+
+    /**
+     * Determine the latest check of each component at or before a date.
+     */
+    getChecks(date) {
+        return Array.from(this.data, ([name, values]) => {
+            const i = bisectDate.right(values, date) - 1;
+            return {name, check: i >= 0 ? values[i] : null};
+        });
+    }
+
+    /**
+     * Update the readout to the given focused time. Without a time, the
+     * readout keeps the last focused time, if any.
+     */
+    update(date) {
+        if (date !== null && date !== undefined) {
+            this.date = date;
+        }
+        if (this.date === null) {
+            this.title.text(this.locales.message('readout-empty'));
+            this.list.html('');
+            return;
+        }
+
+        this.title.text(d3.timeFormat('%d %b %Y %H:%M:%S')(this.date));
+        const items = this.list.selectAll('li')
+            .data(this.getChecks(this.date), d => d.name)
+            .join(enter => {
+                const item = enter.append('li')
+                    .classed('readout-item', true);
+                item.append('span')
+                    .classed('readout-name', true);
+                item.append('span')
+                    .classed('tag readout-status', true);
+                item.append('span')
+                    .classed('readout-value', true);
+                return item;
+            });
+
+        items.select('.readout-name')
+            .text(d => this.config.componentTitle(d.name));
+        items.select('.readout-status')
+            .classed('is-success', d => d.check !== null && d.check.ok === 1)
+            .classed('is-danger', d => d.check !== null && d.check.ok !== 1)
+            .text(d => d.check === null ? this.locales.message('readout-none') :
+                this.locales.message(`ok-${d.check.ok ? 'yes' : 'no'}`)
+            );
+        items.select('.readout-value')
+            .text(d => {
+                if (d.check === null || !_.isFinite(d.check.value)) {
+                    return '';
+                }
+                const unit = this.units.get(d.name);
+                unit.setDomain([d.check.value]);
+                return unit.text(d.check.value);
+            });
+    }
+}
+
+export default Readout;
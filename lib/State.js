@@ -0,0 +1,112 @@
+/**
+ * View state stored in the URL query string.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+// Format of dates in the URL
+const formatDate = d3.utcFormat('%Y-%m-%dT%H:%M:%SZ');
+const parseDate = d3.utcParse('%Y-%m-%dT%H:%M:%SZ');
+
+/**
+ * Parameters in the query string of the current URL, which are updated
+ * without reloading the page.
+ */
+class State {
+    /**
+     * Initialize the state from the current location.
+     */
+    constructor(location=window.location, history=window.history) {
+        this.location = location;
+        this.history = history;
+        this.params = new URLSearchParams(location.search);
+    }
+
+    /**
+     * Check whether a parameter is set.
+     */
+    has(key) {
+        return this.params.has(key);
+    }
+
+    /**
+     * Retrieve the string value of a parameter, or `null` if it is not set.
+     */
+    get(key) {
+        return this.params.get(key);
+    }
+
+    /**
+     * Retrieve a comma-separated list parameter as an array.
+     */
+    getList(key) {
+        const value = this.params.get(key);
+        return value ? value.split(',') : [];
+    }
+
+    /**
+     * Retrieve a date parameter, or `null` if it is not set or invalid.
+     */
+    getDate(key) {
+        const value = this.params.get(key);
+        return value ? parseDate(value) : null;
+    }
+
+    /**
+     * Retrieve a domain parameter with a start and end date, or `null` if
+     * it is not set or invalid.
+     */
+    getDomain(key) {
+        const dates = _.map(this.getList(key), parseDate);
+        if (dates.length !== 2 || !dates[0] || !dates[1] || dates[0] >= dates[1]) {
+            return null;
+        }
+        return dates;
+    }
+
+    /**
+     * Set a parameter and update the URL. Dates are formatted, arrays are
+     * separated by commas and `null` removes the parameter.
+     */
+    set(key, value) {
+        if (value === null || value === undefined) {
+            this.params.delete(key);
+        }
+        else {
+            const format = item => _.isDate(item) ? formatDate(item) : item;
+            this.params.set(key, _.isArray(value) ?
+                _.map(value, format).join(',') : format(value)
+            );
+        }
+        this.write();
+    }
+
+    /**
+     * Replace the current URL with the query string of the state.
+     */
+    write() {
+        const search = this.params.toString();
+        this.history.replaceState(this.history.state, '',
+            `${this.location.pathname}${search ? '?' : ''}${search}${this.location.hash}`
+        );
+    }
+}
+
+export default State;
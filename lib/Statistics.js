@@ -0,0 +1,220 @@
+/**
+ * Uptime and outage statistics for reliability data.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import {formatDuration} from './format';
+import {getCheckInterval, getGaps} from './gaps';
+
+const defaultConfiguration = {
+    element: d3.select('#statistics'), // The element which will contain the panel, or `null` to only compute statistics
+    small: false, // Whether to display the panel in a compact size
+    excluded: [], // Periods with a start and end date which are not counted
+    checkInterval: 0, // Seconds between checks, or 0 to infer it from the data
+};
+
+// The statistics that are displayed in the panel, with their formatters
+const statisticFormats = {
+    uptime: (value) => value === null ? '—' : d3.format('.2%')(value),
+    outages: (value) => value,
+    mttr: (value, locales) => formatDuration(value, locales),
+    mtbf: (value, locales) => formatDuration(value, locales),
+    longest: (value, locales) => formatDuration(value, locales)
+};
+
+/**
+ * Split a period into the parts which are not within any of the excluded
+ * periods.
+ */
+const subtractPeriods = function(start, end, excluded) {
+    let parts = [[start, end]];
+    excluded.forEach(period => {
+        parts = _.flatMap(parts, ([partStart, partEnd]) => {
+            if (period.end <= partStart || period.start >= partEnd) {
+                return [[partStart, partEnd]];
+            }
+            return _.filter([
+                [partStart, Math.min(partEnd, period.start)],
+                [Math.max(partStart, period.end), partEnd]
+            ], ([from, to]) => to > from);
+        });
+    });
+    return parts;
+};
+
+/**
+ * A panel with summary statistics of the OK status of a graph's data.
+ */
+class Statistics {
+    /**
+     * Initialize a new statistics panel with the given configuration.
+     */
+    constructor(data, configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+        this.setGaps(data);
+
+        this.domain = null;
+
+        this.create();
+        this.update(d3.extent(this.data, d => d.checked_date));
+    }
+
+    /**
+     * Replace the data and update the statistics for the current domain.
+     */
+    setData(data) {
+        this.setGaps(data);
+        this.update(this.domain);
+    }
+
+    /**
+     * Replace the data and determine the periods without data in it, which
+     * are not counted in the statistics.
+     */
+    setGaps(data) {
+        this.data = data;
+        this.gaps = getGaps(this.data,
+            getCheckInterval(this.data, this.config.checkInterval)
+        );
+    }
+
+    /**
+     * Replace the periods which are left out of the statistics.
+     */
+    setExcluded(excluded) {
+        this.config.excluded = excluded;
+        this.update(this.domain);
+    }
+
+    /**
+     * Determine the intervals between subsequent checks which fall within
+     * the domain and outside the excluded periods and gaps, with the OK
+     * status of the check at the start of each interval.
+     */
+    getIntervals(domain) {
+        const excluded = this.config.excluded.concat(this.gaps);
+        const intervals = [];
+        for (let i = 0; i < this.data.length - 1; i++) {
+            const start = Math.max(this.data[i].checked_date, domain[0]);
+            const end = Math.min(this.data[i + 1].checked_date, domain[1]);
+            if (end > start) {
+                const periods = subtractPeriods(start, end, excluded);
+                for (const [from, to] of periods) {
+                    intervals.push({start: from, end: to, item: this.data[i]});
+                }
+            }
+        }
+        return intervals;
+    }
+
+    /**
+     * Determine the periods within the domain where the OK status is not
+     * fully OK, merging consecutive checks with a bad status. Each outage
+     * holds the start and end time as well as the data points within it.
+     */
+    getOutages(domain) {
+        const outages = [];
+        let current = null;
+        this.getIntervals(domain).forEach((interval) => {
+            if (interval.item.ok >= 1) {
+                current = null;
+                return;
+            }
+            if (current === null || current.end !== interval.start) {
+                current = {start: interval.start, end: interval.end, items: []};
+                outages.push(current);
+            }
+            current.end = interval.end;
+            current.items.push(interval.item);
+        });
+        return outages;
+    }
+
+    /**
+     * Calculate the statistics for the data within the domain.
+     */
+    compute(domain) {
+        const intervals = this.getIntervals(domain);
+        const outages = this.getOutages(domain);
+
+        const total = _.sumBy(intervals, i => i.end - i.start);
+        const up = _.sumBy(intervals, i => (i.end - i.start) * i.item.ok);
+        const durations = _.map(outages, o => o.end - o.start);
+        const downtime = _.sum(durations);
+
+        return {
+            uptime: total > 0 ? up / total : null,
+            outages: outages.length,
+            mttr: outages.length > 0 ? downtime / outages.length : null,
+            mtbf: outages.length > 0 ?
+                (total - downtime) / outages.length : null,
+            longest: outages.length > 0 ? _.max(durations) : null
+        };
+    }
+
+    /**
+     * Create the panel elements.
+     */
+    create() {
+        if (this.config.element === null) {
+            return;
+        }
+        this.config.element.html('');
+
+        const items = this.config.element.append('nav')
+            .classed('level statistics', true)
+            .classed('is-small', this.config.small)
+            .selectAll('div')
+            .data(_.keys(statisticFormats))
+            .enter()
+            .append('div')
+            .classed('level-item has-text-centered', true)
+            .append('div')
+            .attr('title', d => this.locales.attribute('statistics-titles', d));
+
+        items.append('p')
+            .classed('heading', true)
+            .text(d => this.locales.attribute('statistics', d));
+
+        items.append('p')
+            .classed('title statistic-value', true)
+            .classed('is-4', !this.config.small)
+            .classed('is-6', this.config.small);
+    }
+
+    /**
+     * Update the displayed statistics to cover the given domain.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.domain = domain;
+        if (this.config.element === null) {
+            return;
+        }
+        const statistics = this.compute(domain);
+        this.config.element.selectAll('.statistic-value')
+            .text(d => statisticFormats[d](statistics[d], this.locales));
+    }
+}
+
+export default Statistics;
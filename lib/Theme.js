@@ -0,0 +1,144 @@
+/**
+ * Light, dark and high-contrast color themes.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const defaultConfiguration = {
+    element: d3.select('#theme-toggle'), // The button which switches the theme
+    root: d3.select(document.documentElement), // The element which holds the theme
+    storageKey: 'bigboat-status-theme', // Local storage key of the chosen theme
+};
+
+// Themes in the order of the toggle, with their icons. The automatic theme
+// follows the color scheme and contrast preferences of the system.
+const themes = {
+    auto: 'fa-circle-half-stroke',
+    light: 'fa-sun',
+    dark: 'fa-moon',
+    'high-contrast': 'fa-eye'
+};
+
+/**
+ * A toggle which switches between the themes and remembers the choice.
+ */
+class Theme {
+    /**
+     * Initialize the theme toggle and apply the remembered theme.
+     */
+    constructor(configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.darkQuery = window.matchMedia ?
+            window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.contrastQuery = window.matchMedia ?
+            window.matchMedia('(prefers-contrast: more)') : null;
+        _.forEach(_.compact([this.darkQuery, this.contrastQuery]), query => {
+            query.addEventListener('change', () => this.apply());
+        });
+
+        this.theme = this.load();
+
+        this.create();
+        this.apply();
+    }
+
+    /**
+     * Read the remembered theme, which is automatic if there is none.
+     */
+    load() {
+        try {
+            const theme = window.localStorage.getItem(this.config.storageKey);
+            return _.has(themes, theme) ? theme : 'auto';
+        }
+        catch (error) {
+            return 'auto';
+        }
+    }
+
+    /**
+     * Create the contents of the toggle button.
+     */
+    create() {
+        this.config.element.html('')
+            .on('click', () => {
+                const keys = _.keys(themes);
+                this.setTheme(keys[(keys.indexOf(this.theme) + 1) % keys.length]);
+            })
+            .append('span')
+            .classed('icon', true)
+            .append('i');
+    }
+
+    /**
+     * Change the theme and remember it.
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        try {
+            window.localStorage.setItem(this.config.storageKey, theme);
+        }
+        catch (error) {
+            // Storage is unavailable, so the theme is not remembered
+        }
+        this.apply();
+    }
+
+    /**
+     * Determine the theme to display, resolving the automatic theme to the
+     * system preferences.
+     */
+    getTheme() {
+        if (this.theme !== 'auto') {
+            return this.theme;
+        }
+        if (this.contrastQuery && this.contrastQuery.matches) {
+            return 'high-contrast';
+        }
+        return this.darkQuery && this.darkQuery.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Display the current theme and update the toggle.
+     */
+    apply() {
+        this.config.root.attr('data-theme', this.getTheme());
+
+        const title = this.locales.message('theme-toggle', [
+            this.locales.attribute('themes', this.theme)
+        ]);
+        this.config.element
+            .attr('title', title)
+            .attr('aria-label', title)
+            .select('i')
+            .attr('class', `fas ${themes[this.theme]}`);
+    }
+}
+
+/**
+ * Create a toggle in a button which switches the theme of the page, and apply
+ * the remembered theme.
+ */
+export function createThemeToggle(configuration = {}, locales=null) {
+    return new Theme(configuration, locales);
+}
+
+export default Theme;
@@ -0,0 +1,151 @@
+/**
+ * Warning and critical thresholds of component values.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+// Threshold levels from most to least severe
+export const levels = ['critical', 'warning'];
+
+/**
+ * Determine the most severe threshold level that a value crosses, or `null`
+ * if it crosses none. Thresholds with a `below` direction are crossed by
+ * lower values, otherwise by higher values.
+ */
+export function getLevel(value, thresholds) {
+    if (!thresholds || value === null || value === undefined) {
+        return null;
+    }
+    const below = thresholds.direction === 'below';
+    const level = _.find(levels, level => _.isNumber(thresholds[level]) &&
+        (below ? value < thresholds[level] : value > thresholds[level])
+    );
+    return level === undefined ? null : level;
+}
+
+/**
+ * Determine the periods where consecutive data points have values which
+ * cross a threshold. Each breach holds the start and end time, with the end
+ * being the time of the next data point, and the most severe level.
+ */
+export function getBreaches(data, thresholds) {
+    const breaches = [];
+    let current = null;
+    data.forEach((d, i) => {
+        const level = getLevel(d.value, thresholds);
+        if (level === null) {
+            current = null;
+            return;
+        }
+        if (current === null) {
+            current = {start: d.checked_date, level};
+            breaches.push(current);
+        }
+        else if (levels.indexOf(level) < levels.indexOf(current.level)) {
+            current.level = level;
+        }
+        current.end = data[i + 1] ? data[i + 1].checked_date : d.checked_date;
+    });
+    return breaches;
+}
+
+/**
+ * Determine the value ranges of the threshold bands, ordered from the least
+ * to the most severe level.
+ */
+export function getBands(thresholds) {
+    if (!thresholds) {
+        return [];
+    }
+    const below = thresholds.direction === 'below';
+    const bound = below ? -Infinity : Infinity;
+    const bands = [];
+    _.forEachRight(levels, (level, i) => {
+        if (!_.isNumber(thresholds[level])) {
+            return;
+        }
+        const next = _.find(_.slice(levels, 0, i),
+            severe => _.isNumber(thresholds[severe])
+        );
+        bands.push({
+            level,
+            range: [thresholds[level], next ? thresholds[next] : bound]
+        });
+    });
+    return bands;
+}
+
+const defaultConfiguration = {
+    element: d3.select('#thresholds'), // The element which will contain the breach count
+    thresholds: null, // Warning and critical thresholds with a direction
+};
+
+/**
+ * A count of the threshold breaches of a component within a domain.
+ */
+class Thresholds {
+    /**
+     * Initialize a new breach count with the given configuration.
+     */
+    constructor(data, configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+        this.domain = null;
+
+        this.tag = this.config.element.append('span')
+            .classed('tag breaches is-hidden', true);
+
+        this.setData(data);
+        this.update(d3.extent(this.data, d => d.checked_date));
+    }
+
+    /**
+     * Replace the data and update the count for the current domain.
+     */
+    setData(data) {
+        this.data = data;
+        this.breaches = getBreaches(this.data, this.config.thresholds);
+        this.update(this.domain);
+    }
+
+    /**
+     * Update the displayed count to the breaches within the given domain.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.domain = domain;
+        const breaches = _.filter(this.breaches,
+            breach => breach.end >= domain[0] && breach.start <= domain[1]
+        );
+        const critical = _.some(breaches, breach => breach.level === 'critical');
+        this.tag.classed('is-hidden', breaches.length === 0)
+            .classed('is-danger', critical)
+            .classed('is-warning', !critical)
+            .attr('title', this.locales.message('breaches-title'))
+            .text(this.locales.message(
+                breaches.length === 1 ? 'breaches-one' : 'breaches-count',
+                [breaches.length]
+            ));
+    }
+}
+
+export default Thresholds;
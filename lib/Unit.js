@@ -17,33 +17,126 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import _ from 'lodash';
 import * as d3 from 'd3';
+import {vsprintf} from 'sprintf-js';
 
 /**
- * A configured unit conversion class.
+ * Registry of unit types. Each type has scales with a locale key and the
+ * factor by which a value is divided, ordered from the smallest factor.
+ */
+const registry = {
+    seconds: {
+        scales: [
+            {key: 'seconds', factor: 1},
+            {key: 'minutes', factor: 60},
+            {key: 'hours', factor: 60 * 60},
+            {key: 'days', factor: 60 * 60 * 24}
+        ]
+    },
+    bytes: {
+        scales: [
+            {key: 'bytes', factor: 1},
+            {key: 'kilobytes', factor: 1024},
+            {key: 'megabytes', factor: Math.pow(1024, 2)},
+            {key: 'gigabytes', factor: Math.pow(1024, 3)},
+            {key: 'terabytes', factor: Math.pow(1024, 4)}
+        ]
+    },
+    percentage: {
+        scales: [{key: 'percent', factor: 0.01}]
+    },
+    count: {
+        scales: [
+            {key: 'count', factor: 1},
+            {key: 'thousands', factor: 1000},
+            {key: 'millions', factor: 1000000}
+        ],
+        precision: 0
+    },
+    rate: {
+        scales: [
+            {key: 'per-hour', factor: 1 / 60 / 60},
+            {key: 'per-minute', factor: 1 / 60},
+            {key: 'per-second', factor: 1}
+        ]
+    }
+};
+
+// Scale used for values without a unit
+const identity = {key: '', factor: 1};
+
+/**
+ * A configured unit conversion class, which scales values automatically to
+ * the domain of the displayed values.
  */
 class Unit {
     /**
-     * Initialize the unit conversion to provide a formatter and locale key.
+     * Register a unit type with its scales, or replace an existing type.
      */
-    constructor(config) {
+    static register(name, definition) {
+        registry[name] = _.assign({}, definition, {
+            scales: _.sortBy(definition.scales, 'factor')
+        });
+    }
+
+    /**
+     * Initialize the unit conversion from the `valueUnit` configuration,
+     * which is either a registered type name or an object with a `type` and
+     * optionally a fixed `scale` key and a `precision`.
+     */
+    constructor(config, locales=null) {
         this.config = config;
-        if (this.config.valueUnit === 'seconds') {
-            this.format = seconds => {
-                return d3.format('.1f')(seconds / 60 / 60 / 24);
-            };
-
-            this.key = 'days';
-        } else if (this.config.valueUnit === 'bytes') {
-            this.format = bytes => {
-                return Math.round(bytes / 1024 / 1024 / 1024);
-            };
-
-            this.key = 'gigabytes';
-        } else {
-            this.format = (value) => value;
-            this.key = '';
+        this.locales = locales;
+
+        const unit = _.isString(this.config.valueUnit) ?
+            {type: this.config.valueUnit} : (this.config.valueUnit || {});
+        const type = registry[unit.type];
+
+        this.scales = type ? type.scales : [identity];
+        if (unit.scale) {
+            this.scales = _.filter(this.scales, scale => scale.key === unit.scale);
+        }
+        if (_.isEmpty(this.scales)) {
+            this.scales = [identity];
+        }
+        this.precision = _.isNumber(unit.precision) ? unit.precision :
+            (type && _.isNumber(type.precision) ? type.precision : 2);
+
+        this.format = value => d3.format(`,.${this.precision}~f`)(this.convert(value));
+        this.setDomain(null);
+    }
+
+    /**
+     * Select the largest scale in which the maximum of the domain is at
+     * least one, or the smallest scale if there is no such scale.
+     */
+    setDomain(domain) {
+        const maximum = domain ? d3.max(domain, Math.abs) : 0;
+        this.scale = _.findLast(this.scales,
+            scale => maximum / scale.factor >= 1
+        ) || this.scales[0];
+        this.key = this.scale.key;
+        return this.key;
+    }
+
+    /**
+     * Convert a value to a number in the selected scale.
+     */
+    convert(value) {
+        return value / this.scale.factor;
+    }
+
+    /**
+     * Format a value with the unit label of the selected scale.
+     */
+    text(value) {
+        if (this.key === '' || !this.locales) {
+            return this.format(value);
         }
+        return vsprintf(this.locales.attribute('units', this.key), [
+            this.format(value)
+        ]);
     }
 }
 
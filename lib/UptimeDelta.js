@@ -0,0 +1,95 @@
+/**
+ * Difference in uptime between the visible and the previous period.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as d3 from 'd3';
+import Statistics from './Statistics';
+
+const defaultConfiguration = {
+    element: d3.select('#uptime-delta'), // The element which will contain the delta
+    tolerance: 0.0005, // Differences in uptime smaller than this are unchanged
+};
+
+/**
+ * A tag with the change in uptime of the visible domain compared to the
+ * window of equal length before it.
+ */
+class UptimeDelta {
+    /**
+     * Initialize a new uptime delta for the statistics of a graph.
+     */
+    constructor(statistics, configuration = {}, locales=null) {
+        this.statistics = statistics;
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+        this.previous = null;
+        this.domain = null;
+
+        this.tag = this.config.element.append('span')
+            .classed('tag uptime-delta is-hidden', true);
+    }
+
+    /**
+     * Replace the data of the previous period, or hide the delta if the data
+     * is `null`.
+     */
+    setPrevious(data) {
+        this.previous = data === null ? null : new Statistics(data, {
+            element: null,
+            excluded: this.statistics.config.excluded,
+            checkInterval: this.statistics.config.checkInterval
+        }, this.locales);
+        this.update(this.domain);
+    }
+
+    /**
+     * Update the delta to the given visible domain.
+     */
+    update(domain) {
+        if (!domain || domain.length !== 2) {
+            return;
+        }
+        this.domain = domain;
+
+        const length = domain[1] - domain[0];
+        const previousDomain = [new Date(domain[0] - length), domain[0]];
+        const current = this.statistics.compute(domain).uptime;
+        const previous = this.previous === null ? null :
+            this.previous.compute(previousDomain).uptime;
+        if (current === null || previous === null) {
+            this.tag.classed('is-hidden', true);
+            return;
+        }
+
+        const delta = current - previous;
+        const changed = Math.abs(delta) >= this.config.tolerance;
+        this.tag.classed('is-hidden', false)
+            .classed('is-success', changed && delta > 0)
+            .classed('is-danger', changed && delta < 0)
+            .classed('is-light', true)
+            .attr('title', this.locales.message('uptime-delta-title', [
+                d3.format('.2%')(previous)
+            ]))
+            .text(this.locales.message('uptime-delta', [
+                changed ? d3.format('+.2f')(delta * 100) : '±0'
+            ]));
+    }
+}
+
+export default UptimeDelta;
@@ -0,0 +1,279 @@
+/**
+ * Embeddable widget with the status graphs of a single project.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+import axios from 'axios';
+import {Locale} from '@gros/visualization-ui';
+import spec from './locales.json';
+import Graph from './Graph';
+import Unit from './Unit';
+import {getAverageReliabilityData} from './average';
+import {validateFields, validateStatusData, validateAnnotations} from './validate';
+import {parseDuration, retrieveText} from './format';
+import {getGraphSize, observeResize} from './resize';
+
+const defaultConfiguration = {
+    project: null, // Name of the project to display
+    url: 'data/bigboat_status', // Base URL of the status data files
+    duration: 'full', // Duration of the data file, to which the graphs are zoomed
+    average: true, // Whether to display the average reliability graph
+    components: true, // Whether to display the component graphs, or a list of component names
+    width: null, // Width of the graphs in pixels, or `null` to fill the container
+    height: null, // Height of the graphs in pixels, or `null` to follow the width
+    ratio: 0.52, // Proportion of the height to the width of the graphs
+    lang: null, // Language of the texts, or `null` for the browser language
+    theme: null, // Color theme of the graphs, or `null` for the theme of the page
+    averageMode: 'mean', // Mode of combining the component status into the average reliability
+    checkInterval: 0, // Seconds between checks, or 0 to infer it from the data
+};
+
+// Number of widgets created on the page, which keeps their graph ids unique
+let widgetCount = 0;
+
+/**
+ * The average reliability and component graphs of a project, mounted into
+ * a container element. The graphs fill the width of the container, follow
+ * each other's zoom and focus, and notify listeners of the `load`, `error`,
+ * `zoom` and `focus` events.
+ */
+class Widget {
+    /**
+     * Initialize the widget in a container element or selector and start
+     * loading the data of the project.
+     */
+    constructor(container, configuration = {}) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = new Locale(spec);
+        this.locales.select(this.config.lang);
+
+        widgetCount++;
+        this.id = `bigboat-status-${widgetCount}`;
+        this.graphs = [];
+        this.dispatch = d3.dispatch('zoom', 'focus');
+        this.events = d3.dispatch('load', 'error', 'zoom', 'focus');
+
+        this.element = d3.select(container).append('div')
+            .classed('bigboat-status-widget', true)
+            .attr('data-theme', this.config.theme);
+        this.element.append('p')
+            .attr('id', `${this.id}-help`)
+            .classed('is-sr-only', true)
+            .text(this.locales.message('graph-keyboard-help'));
+
+        this.dispatch.on('zoom.widget', (index, domain) => {
+            this.graphs.forEach(graph => {
+                if (graph.config.index !== index) {
+                    graph.x.domain(domain);
+                    graph.zoom();
+                }
+            });
+            this.events.call('zoom', this, domain);
+        });
+        this.dispatch.on('focus.widget', (index, date) => {
+            this.graphs.forEach(graph => {
+                if (graph.config.index !== index && !graph.pinned) {
+                    graph.updateFocus(date);
+                }
+            });
+            this.events.call('focus', this, date);
+        });
+
+        this.stopResize = observeResize(this.element.node(),
+            () => this.resize()
+        );
+        this.loaded = this.load();
+    }
+
+    /**
+     * Register a callback for an event, or remove it if the callback is
+     * `null`. Event types may have a name, like `zoom.dashboard`.
+     */
+    on(type, callback) {
+        this.events.on(type, callback);
+        return this;
+    }
+
+    /**
+     * Load the status data, fields and annotations of the project and create
+     * the graphs. The returned promise resolves with the widget once the
+     * graphs are displayed, or after an `error` event.
+     */
+    load() {
+        const {url, project, duration} = this.config;
+        return axios.all([
+            axios.get(`${url}/${project}.${duration}.json`),
+            axios.get(`${url}/fields.json`),
+            // Annotations are optional
+            axios.get(`${url}/${project}.annotations.json`)
+                .catch(() => ({data: []}))
+        ]).then(axios.spread((status, fields, annotationData) => {
+            if (this.element === null) {
+                return this;
+            }
+            const {data: records, latest} = validateStatusData(status.data);
+            const validFields = validateFields(fields.data);
+            _.forEach(_.isPlainObject(validFields._units) ?
+                validFields._units : {}, (definition, name) => {
+                    Unit.register(name, definition);
+                }
+            );
+            const annotations = _.map(validateAnnotations(annotationData.data),
+                annotation => _.assign({}, annotation, {
+                    label: retrieveText(annotation.label, this.locales)
+                })
+            );
+
+            // Graphs without data points cannot be displayed
+            const empty = records.length === 0;
+            if (empty) {
+                this.element.append('p')
+                    .classed('notification is-warning is-light', true)
+                    .text(this.locales.message('no-data'));
+            }
+            else {
+                this.create(records, validFields, annotations);
+            }
+            this.events.call('load', this, {project, latest, empty});
+            return this;
+        })).catch(error => {
+            if (this.element !== null) {
+                this.element.append('p')
+                    .classed('notification is-danger', true)
+                    .text(this.locales.message('data-error', [error]));
+                this.events.call('error', this, error);
+            }
+            return this;
+        });
+    }
+
+    /**
+     * Create the graphs from the status records of the project.
+     */
+    create(records, fields, annotations) {
+        const {width, height} = this.getSize();
+        const addGraph = (data, index, title, options) => {
+            const element = this.element.append('div')
+                .classed('bigboat-status-graph', true);
+            element.append('h3')
+                .classed('title is-5', true)
+                .text(title);
+            const graph = new Graph(data, this.config.duration, this.dispatch,
+                _.assign({
+                    element: element.append('svg')
+                        .attr('width', width)
+                        .attr('height', height),
+                    index: `${this.id}-${index}`,
+                    label: title,
+                    annotations,
+                    checkInterval: this.config.checkInterval,
+                    helpId: `${this.id}-help`
+                }, options),
+                this.locales
+            );
+            this.graphs.push(graph);
+        };
+
+        if (this.config.average) {
+            addGraph(getAverageReliabilityData(records, fields,
+                this.config.averageMode
+            ), 'average', this.locales.message('average-reliability'), {});
+        }
+        if (this.config.components) {
+            const names = _.isArray(this.config.components) ?
+                this.config.components : null;
+            let index = 0;
+            d3.group(records, d => d.name).forEach((values, key) => {
+                if (names !== null && !_.includes(names, key)) {
+                    return;
+                }
+                const field = fields[key] || {};
+                const title = retrieveText(field.titles, this.locales, key);
+                addGraph(values, index++, title, {
+                    preciseYAxis: false,
+                    valueUnit: field.unit,
+                    thresholds: _.isEmpty(field.thresholds) ?
+                        null : field.thresholds,
+                    capacity: _.isFinite(field.capacity) ?
+                        field.capacity : null,
+                    expires: (_.isString(field.unit) ?
+                        field.unit : _.get(field.unit, 'type')) === 'seconds'
+                });
+            });
+        }
+
+        const domain = parseDuration(this.config.duration);
+        if (this.graphs.length > 0 && domain.asSeconds() > 0) {
+            this.graphs[0].setDomain(domain);
+        }
+    }
+
+    /**
+     * Determine the size of the graphs from the configuration and the width
+     * of the widget.
+     */
+    getSize() {
+        return getGraphSize(this.element.node(), {
+            width: this.config.width,
+            height: this.config.height,
+            ratio: this.config.ratio
+        });
+    }
+
+    /**
+     * Fit the graphs to the current width of the widget.
+     */
+    resize() {
+        if (this.element === null) {
+            return;
+        }
+        const {width, height} = this.getSize();
+        this.graphs.forEach(graph => graph.resize(width, height));
+    }
+
+    /**
+     * Zoom the graphs to a domain with start and end dates, or to a moment
+     * duration before the latest data.
+     */
+    setDomain(domain) {
+        if (this.graphs.length > 0) {
+            this.graphs[0].setDomain(domain);
+        }
+    }
+
+    /**
+     * Remove the graphs and stop following the size of the container. The
+     * widget can no longer be used afterward.
+     */
+    destroy() {
+        if (this.element === null) {
+            return;
+        }
+        this.stopResize();
+        this.graphs.forEach(graph => graph.destroy());
+        this.graphs = [];
+        this.dispatch.on('zoom.widget', null).on('focus.widget', null);
+        this.events = d3.dispatch('load', 'error', 'zoom', 'focus');
+        this.element.remove();
+        this.element = null;
+    }
+}
+
+export default Widget;
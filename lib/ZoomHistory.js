@@ -0,0 +1,160 @@
+/**
+ * History of the zoomed domains with back and forward buttons.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const defaultConfiguration = {
+    element: d3.select('#zoom-history'), // The element which will contain the buttons
+    setDomain: (domain) => {}, // Callback to zoom the graphs to a domain
+    limit: 50, // Maximum number of domains to remember
+};
+
+/**
+ * A stack of the domains that the graphs were zoomed to, which follows the
+ * zoom events of the dispatch and moves back and forward through them.
+ */
+class ZoomHistory {
+    /**
+     * Initialize the history and its buttons with the given configuration.
+     */
+    constructor(dispatch, configuration = {}, locales=null) {
+        this.config = Object.assign({}, defaultConfiguration, configuration);
+        this.locales = locales;
+
+        this.domains = [];
+        this.position = -1;
+        this.navigating = false;
+
+        this.create();
+        dispatch.on('zoom.history', (index, domain) => this.push(domain));
+    }
+
+    /**
+     * Create the back and forward buttons.
+     */
+    create() {
+        this.buttons = this.config.element.html('')
+            .selectAll('button')
+            .data([
+                {offset: -1, message: 'zoom-back', icon: 'fa-arrow-left'},
+                {offset: 1, message: 'zoom-forward', icon: 'fa-arrow-right'}
+            ])
+            .join('button')
+            .classed('button is-small', true)
+            .attr('title', d => this.locales.message(d.message))
+            .attr('aria-label', d => this.locales.message(d.message))
+            .on('click', (event, d) => this.go(d.offset));
+        this.buttons.append('span')
+            .classed('icon is-small', true)
+            .append('i')
+            .attr('class', d => `fas ${d.icon}`);
+        this.update();
+    }
+
+    /**
+     * Remember a domain that the graphs were zoomed to, discarding the
+     * domains after the current position.
+     */
+    push(domain) {
+        if (this.navigating || !domain || domain.length !== 2) {
+            return;
+        }
+        const current = this.domains[this.position];
+        if (current && _.isEqual(_.map(current, Number), _.map(domain, Number))) {
+            return;
+        }
+        this.domains = _.takeRight(
+            _.concat(_.take(this.domains, this.position + 1), [domain]),
+            this.config.limit
+        );
+        this.position = this.domains.length - 1;
+        this.update();
+    }
+
+    /**
+     * Zoom to the domain at an offset from the current position.
+     */
+    go(offset) {
+        const position = this.position + offset;
+        if (position < 0 || position >= this.domains.length) {
+            return;
+        }
+        this.position = position;
+        this.navigating = true;
+        try {
+            this.config.setDomain(this.domains[position]);
+        }
+        finally {
+            this.navigating = false;
+        }
+        this.update();
+    }
+
+    /**
+     * Call a function which changes the domain without remembering the new
+     * domain, for example when a live refresh follows the latest data.
+     */
+    skip(callback) {
+        const navigating = this.navigating;
+        this.navigating = true;
+        try {
+            callback();
+        }
+        finally {
+            this.navigating = navigating;
+        }
+    }
+
+    /**
+     * Zoom to the previous domain.
+     */
+    back() {
+        this.go(-1);
+    }
+
+    /**
+     * Zoom to the next domain after moving back.
+     */
+    forward() {
+        this.go(1);
+    }
+
+    /**
+     * Forget all domains, for example when another project is displayed.
+     */
+    clear() {
+        this.domains = [];
+        this.position = -1;
+        this.update();
+    }
+
+    /**
+     * Enable the buttons that have a domain to move to.
+     */
+    update() {
+        this.buttons.property('disabled', d => {
+            const position = this.position + d.offset;
+            return position < 0 || position >= this.domains.length;
+        });
+    }
+}
+
+export default ZoomHistory;
@@ -0,0 +1,75 @@
+/**
+ * Level-of-detail aggregation of data points into time buckets.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const bisectDate = d3.bisector(d => d.checked_date);
+
+/**
+ * Determine the range of the value of a data point, from the minimum to the
+ * maximum of an aggregated point, or otherwise its `min` and `max` fields,
+ * falling back to the value itself.
+ */
+export function getValueRange(d) {
+    const bound = (aggregated, field) => _.isFinite(aggregated) ? aggregated :
+        (_.isFinite(field) ? field : d.value);
+    return [bound(d.valueMin, d.min), bound(d.valueMax, d.max)];
+}
+
+/**
+ * Summarize the data points of a bucket into one point at the time of the
+ * first point. The OK status is the lowest of the bucket, so that an outage
+ * remains visible, while the OK fraction holds the mean. Values hold the mean
+ * as well as the minimum and maximum.
+ */
+const summarize = function(points) {
+    const values = _.filter(points, d => d.value);
+    return {
+        checked_date: points[0].checked_date,
+        ok: d3.min(points, d => d.ok),
+        okFraction: d3.mean(points, d => d.ok),
+        value: values.length > 0 ? d3.mean(values, d => d.value) : undefined,
+        valueMin: d3.min(values, d => getValueRange(d)[0]),
+        valueMax: d3.max(values, d => getValueRange(d)[1]),
+        max: d3.max(points, d => d.max || d.value),
+        count: points.length
+    };
+};
+
+/**
+ * Select the data points within the domain, with the neighboring points
+ * outside it, and aggregate them into time buckets if there are more points
+ * than the given width in pixels allows for.
+ */
+export function aggregate(data, domain, width, pointsPerPixel=0.5) {
+    const start = Math.max(0, bisectDate.left(data, domain[0]) - 1);
+    const end = Math.min(data.length, bisectDate.right(data, domain[1]) + 1);
+    const visible = data.slice(start, end);
+
+    const bucketCount = Math.max(1, Math.floor(width * pointsPerPixel));
+    const step = (domain[1] - domain[0]) / bucketCount;
+    if (visible.length <= bucketCount || step <= 0 || !_.isFinite(step)) {
+        return visible;
+    }
+
+    return _.map(d3.groups(visible,
+        d => Math.floor((d.checked_date - domain[0]) / step)
+    ), ([, points]) => summarize(points));
+}
@@ -0,0 +1,94 @@
+/**
+ * Average reliability of the components of a project.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+/**
+ * Retrieve the weight of a component from its fields, which is 1 unless the
+ * fields provide a weight of zero or more.
+ */
+export function getWeight(fields, name) {
+    const weight = fields && fields[name] ? fields[name].weight : undefined;
+    return _.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Determine whether a component is marked as critical in its fields.
+ */
+export function isCritical(fields, name) {
+    return !!(fields && fields[name] && fields[name].critical === true);
+}
+
+// Modes to combine the OK status of the components at a measure moment
+export const averageModes = {
+    // Mean of the OK status, weighted by the weights of the components
+    mean: (metrics, fields) => {
+        const total = _.sumBy(metrics, metric => getWeight(fields, metric.name));
+        return total > 0 ? _.sumBy(metrics,
+            metric => getWeight(fields, metric.name) * metric.ok
+        ) / total : 1;
+    },
+    // Whether all critical components, or all components if none are
+    // critical, are OK
+    critical: (metrics, fields) => {
+        const critical = _.filter(metrics,
+            metric => isCritical(fields, metric.name)
+        );
+        return _.every(_.isEmpty(critical) ? metrics : critical,
+            metric => metric.ok >= 1
+        ) ? 1 : 0;
+    },
+    // The OK status of the worst component
+    worst: (metrics) => d3.min(metrics, metric => metric.ok)
+};
+
+/**
+ * Calculate the average reliability per measure moment of the status records
+ * of all components, using the weights and critical flags of the fields and
+ * one of the average modes. Each data point holds the components which are
+ * not OK in `componentStatus`, and the `mode` of the average.
+ */
+export function getAverageReliabilityData(records, fields={}, mode='mean') {
+    const combine = _.has(averageModes, mode) ? averageModes[mode] :
+        averageModes.mean;
+    const averageReliabilityData = [];
+
+    // Calculate the average reliability per measure moment
+    d3.group(records, d => d.checked_date).forEach((metrics, checked_date) => {
+        const componentStatus = {};
+
+        // If the status of a component is not "OK", add it to the list
+        metrics.forEach((metric) => {
+            if (metric.ok !== 1) {
+                componentStatus[metric.name] = metric.ok;
+            }
+        });
+
+        // Add the time and average reliability to the array
+        averageReliabilityData.push({
+            checked_date: checked_date,
+            ok: combine(metrics, fields),
+            componentStatus,
+            mode
+        });
+    });
+
+    return averageReliabilityData;
+}
@@ -0,0 +1,90 @@
+/**
+ * Formatting helpers for texts, durations and intervals.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import _ from 'lodash';
+import moment from 'moment';
+import {vsprintf} from 'sprintf-js';
+
+// Interval units from largest to smallest, with their length in milliseconds
+const intervals = [
+    ['days', 86400000],
+    ['hours', 3600000],
+    ['minutes', 60000],
+    ['seconds', 1000]
+];
+
+/**
+ * Format a duration in milliseconds as a short text using at most the two
+ * largest interval units, for example "2 d 3 h".
+ */
+export function formatDuration(milliseconds, locales, parts=2) {
+    if (milliseconds === null || milliseconds === undefined ||
+        isNaN(milliseconds)
+    ) {
+        return '—';
+    }
+
+    let remainder = Math.round(Math.abs(milliseconds));
+    const texts = [];
+    intervals.forEach(([key, length]) => {
+        const amount = Math.floor(remainder / length);
+        if (texts.length < parts && (amount > 0 || texts.length > 0)) {
+            remainder -= amount * length;
+            if (amount > 0) {
+                texts.push(vsprintf(locales.attribute('intervals', key),
+                    [amount]
+                ));
+            }
+            else {
+                // Stop after a zero part following a nonzero part
+                parts = texts.length;
+            }
+        }
+    });
+
+    if (texts.length === 0) {
+        return vsprintf(locales.attribute('intervals', 'seconds'), [0]);
+    }
+    return texts.join(' ');
+}
+
+/**
+ * Retrieve a text in the selected language from a string or an object with
+ * a text for each language. Other values, such as missing or malformed texts
+ * in the fields, lead to the default value.
+ */
+export function retrieveText(value, locales, defaultValue='') {
+    if (_.isString(value)) {
+        return value;
+    }
+    return _.isPlainObject(value) ?
+        locales.retrieve(value, null, defaultValue) : defaultValue;
+}
+
+/**
+ * Convert a duration slug, such as `1-week` or `3-days`, to a moment
+ * duration. Slugs without an amount and unit, such as `full`, are an empty
+ * duration.
+ */
+export function parseDuration(duration) {
+    const durationParts = duration.includes('-') ? duration.split('-').map(
+        part => _.isNaN(Number(part)) ? part : Number(part)
+    ) : [];
+    return moment.duration(...durationParts);
+}
@@ -0,0 +1,63 @@
+/**
+ * Detection of gaps between the checks of status data.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+// Number of check intervals without data after which a period is a gap
+export const gapFactor = 3;
+
+/**
+ * Determine the expected interval between checks in milliseconds. A positive
+ * configured interval in seconds is used as is, otherwise the interval is
+ * inferred as the median time between subsequent checks. Returns `null` if
+ * there are not enough checks to infer it.
+ */
+export function getCheckInterval(data, configured=0) {
+    if (configured > 0) {
+        return configured * 1000;
+    }
+    const differences = _.filter(_.map(_.tail(data),
+        (d, i) => d.checked_date - data[i].checked_date
+    ), difference => difference > 0);
+    return differences.length > 0 ? d3.median(differences) : null;
+}
+
+/**
+ * Determine the periods without data, where the time between subsequent
+ * checks is more than a few check intervals. A gap starts one check interval
+ * after the last check before it and ends at the first check after it.
+ */
+export function getGaps(data, interval) {
+    if (!_.isFinite(interval) || interval <= 0) {
+        return [];
+    }
+    const gaps = [];
+    for (let i = 0; i < data.length - 1; i++) {
+        const start = data[i].checked_date.getTime();
+        const end = data[i + 1].checked_date.getTime();
+        if (end - start > gapFactor * interval) {
+            gaps.push({
+                start: new Date(start + interval),
+                end: new Date(end)
+            });
+        }
+    }
+    return gaps;
+}
@@ -20,15 +20,35 @@
 import _ from 'lodash';
 import * as d3 from 'd3';
 import axios from 'axios';
-import moment from 'moment';
 import spec from './locales.json';
 import config from 'config.json';
 import {Locale, Navigation, Navbar, Spinner} from '@gros/visualization-ui';
 import Graph from './Graph';
+import Statistics from './Statistics';
+import Incidents from './Incidents';
+import Export from './Export';
+import Comparison from './Comparison';
+import State from './State';
+import Thresholds from './Thresholds';
+import Unit from './Unit';
+import Heatmap from './Heatmap';
+import ComponentFilter from './ComponentFilter';
+import DateRange from './DateRange';
+import {createThemeToggle} from './Theme';
+import Kiosk from './Kiosk';
+import UptimeDelta from './UptimeDelta';
+import Forecast from './Forecast';
+import {getGraphSize, observeResize} from './resize';
+import ZoomHistory from './ZoomHistory';
+import Readout from './Readout';
+import {averageModes, getAverageReliabilityData, getWeight, isCritical} from './average';
+import {validateNames, validateMetadata, validateFields, validateStatusData, validateAnnotations} from './validate';
+import {getCheckInterval, gapFactor} from './gaps';
+import {formatDuration, parseDuration, retrieveText} from './format';
 
 const locales = new Locale(spec);
-const searchParams = new URLSearchParams(window.location.search);
-locales.select(searchParams.get("lang"));
+const state = new State();
+locales.select(state.get("lang"));
 
 const loadingSpinner = new Spinner({
     width: d3.select('#container').node().clientWidth,
@@ -42,14 +62,144 @@ loadingSpinner.start();
 const dispatch = d3.dispatch('zoom', 'focus');
 
 // Parser for the time format used in the data
-const parseTime = d3.timeParse('%Y-%m-%d %H:%M:%S');
+const formatTime = d3.timeFormat('%Y-%m-%d %H:%M:%S');
 
 let currentProject = null;
 let currentDuration = null;
 let encompassingDuration = null;
+// Duration of the data file which was last loaded, even if it had no data
+let loadedDuration = null;
+let durationSlugs = [];
 let projectNames = null;
 let projectUrls = null;
 let averageReliabilityGraph = null;
+let comparison = null;
+let averageStatistics = null;
+let averageDelta = null;
+let averageExport = null;
+let incidents = null;
+let heatmap = null;
+let readout = null;
+let componentGraphs = new Map();
+let lastChecked = null;
+let latestDate = null;
+let currentFocus = null;
+let annotations = [];
+
+// Whether to display the previous period, and the data from which it is
+// displayed: the loaded data if it covers the previous period, or another
+// data file which is cached by project and duration
+let showPrevious = state.has('previous');
+let previousData = null;
+let currentPeriodData = null;
+const previousCache = new Map();
+let averageRecords = [];
+let currentFields = {};
+
+// Mode of combining the component status into the average reliability
+const defaultAverageMode = _.has(averageModes, config.average_mode) ?
+    config.average_mode : 'mean';
+let averageMode = _.has(averageModes, state.get('average')) ?
+    state.get('average') : defaultAverageMode;
+
+// Interval in seconds to poll for new data, or 0 to disable live refresh
+const refreshInterval = Math.max(0,
+    Number(state.get('refresh') || config.refresh_interval || 0)
+) || 0;
+let refreshTimer = null;
+
+// Expected number of seconds between checks, or 0 to infer it from the data
+const checkInterval = Math.max(0, Number(config.check_interval || 0)) || 0;
+
+// Number of days ahead within which a trend of the values is forecast
+const forecastHorizon = Number(config.forecast_horizon) || 90;
+if (refreshInterval > 0) {
+    // Update the stale marker as time passes
+    setInterval(() => updateLastChecked(), 60000);
+}
+
+// View state from the URL which is restored once the graphs are loaded
+let initialZoom = state.getDomain('zoom');
+let initialFocus = state.getDate('focus');
+const hiddenComponents = new Set(state.getList('hide'));
+
+// Keep the zoomed domain and focused time in the URL
+dispatch.on('zoom.state', (index, domain) => {
+    state.set('zoom', domain);
+});
+const setFocusState = _.debounce((x0) => state.set('focus', x0), 250);
+dispatch.on('focus.state', (index, x0) => {
+    currentFocus = x0;
+    setFocusState(x0);
+});
+
+// Move back and forward through the zoomed domains of the graphs
+const zoomHistory = new ZoomHistory(dispatch, {
+    element: d3.select('#zoom-history'),
+    setDomain: (domain) => {
+        if (averageReliabilityGraph !== null) {
+            averageReliabilityGraph.zoomTo(domain);
+        }
+    }
+}, locales);
+
+// Follow the preferred or chosen color theme
+createThemeToggle({
+    element: d3.select('#theme-toggle')
+}, locales);
+
+// Search, filter, group and sort the components
+const componentFilter = new ComponentFilter({
+    element: d3.select('#component-filter'),
+    container: d3.select('#components')
+}, locales);
+dispatch.on('zoom.filter', (index, domain) => {
+    componentFilter.update(domain);
+});
+
+// Register a graph to dispatch events from other graphs.
+// - zoom: Update a graph to the given domain, and its panels
+// - focus: Update the focus line
+const coordinateDispatch = (graphElement, ...panels) => {
+    dispatch.on(`zoom.${graphElement.config.index}`, function (index, domain) {
+        if (graphElement.config.index !== index) {
+            graphElement.x.domain(domain);
+            graphElement.zoom();
+        }
+        panels.forEach(panel => panel.update(domain));
+    });
+    dispatch.on(`focus.${graphElement.config.index}`, function(index, x0) {
+        // A pinned tooltip keeps its own focus
+        if (graphElement.config.index !== index && !graphElement.pinned) {
+            graphElement.updateFocus(x0);
+        }
+    });
+};
+
+// Resize the graphs to the width of their containers
+const averageSize = {ratio: 0.52, fallback: 960};
+observeResize(d3.select('svg#average-reliability').node().parentNode, () => {
+    if (averageReliabilityGraph !== null) {
+        const {width, height} = getGraphSize(
+            averageReliabilityGraph.config.element.node().parentNode,
+            averageSize
+        );
+        averageReliabilityGraph.resize(width, height);
+    }
+});
+observeResize(d3.select('#components').node(), () => {
+    componentGraphs.forEach(entry => entry.resize());
+});
+observeResize(d3.select('#heatmap').node(), () => {
+    if (heatmap !== null) {
+        heatmap.resize();
+    }
+});
+observeResize(d3.select('#comparison').node(), () => {
+    if (comparison !== null) {
+        comparison.resize();
+    }
+});
 
 // Create project navigation
 const projectNavigation = new Navigation({
@@ -65,6 +215,8 @@ const projectNavigation = new Navigation({
             loadingSpinner.start();
 
             currentProject = project;
+            state.set('project', project);
+            zoomHistory.clear();
 
             // Remove the current graphs
             d3.selectAll('#components div').remove();
@@ -87,13 +239,28 @@ const projectNavigation = new Navigation({
     }
 });
 
+// Select the shortest listed duration whose data files cover the given length
+// of time in milliseconds before the latest data, or the full data otherwise
+const getEncompassingDuration = (length) => {
+    if (!_.isFinite(length) || length <= 0) {
+        return 'full';
+    }
+    const covering = _.sortBy(_.filter(_.map(durationSlugs,
+        slug => ({slug, length: parseDuration(slug).asMilliseconds()})
+    ), d => d.length >= length), 'length');
+    return covering.length > 0 ? covering[0].slug : 'full';
+};
+
 const updateRange = (duration, hasDuration) => {
     currentDuration = duration;
-    encompassingDuration = hasDuration ? duration : 'full'; // TODO
+    encompassingDuration = hasDuration ? duration :
+        getEncompassingDuration(parseDuration(duration).asMilliseconds());
+    state.set('duration', duration);
     const isValid = updateDomain(duration);
-    if (averageReliabilityGraph &&
-        encompassingDuration != averageReliabilityGraph.duration
-    ) {
+    if (comparison && state.has('compare')) {
+        comparison.setDuration(encompassingDuration);
+    }
+    if (loadedDuration !== null && encompassingDuration != loadedDuration) {
         // Remove the current graphs
         d3.selectAll('#components div').remove();
         d3.select('svg#average-reliability').html('');
@@ -104,13 +271,13 @@ const updateRange = (duration, hasDuration) => {
 };
 const updateDomain = (duration) => {
     // Convert duration slug using default locale in moment and create domain
-    const durationParts = duration.includes('-') ? duration.split('-').map(
-        part => _.isNaN(Number(part)) ? part : Number(part)
-    ) : [];
-    const domain = moment.duration(...durationParts);
+    const domain = parseDuration(duration);
     const isValid = domain.asSeconds() > 0;
     if (averageReliabilityGraph) {
         averageReliabilityGraph.setDomain(isValid ? domain : null);
+
+        // The domain is no longer zoomed by the user
+        state.set('zoom', null);
     }
     return isValid;
 };
@@ -123,40 +290,274 @@ const durationNavigation = new Navigation({
     }
 });
 
+// Show a warning about the data, or hide it if the message is `null`
+const setDataMessage = (message, args=[]) => {
+    d3.select('#data-message')
+        .classed('is-hidden', message === null)
+        .text(message === null ? '' : locales.message(message, args));
+};
+
+// Zoom to an absolute range, loading the shortest data file which covers it
+const setDateRange = (domain) => {
+    const latest = averageReliabilityGraph ?
+        averageReliabilityGraph.xStartDomain[1] :
+        (latestDate !== null ? latestDate : new Date());
+    const duration = getEncompassingDuration(latest - domain[0]);
+    if (averageReliabilityGraph &&
+        duration === averageReliabilityGraph.duration
+    ) {
+        averageReliabilityGraph.setDomain(domain);
+        return;
+    }
+    initialZoom = domain;
+    durationNavigation.setCurrentItem(duration);
+};
+
+// Select absolute or custom relative ranges, which follows the zoomed domain
+const dateRange = new DateRange({
+    element: d3.select('#date-range'),
+    setDomain: setDateRange,
+    setDuration: (duration) => durationNavigation.setCurrentItem(duration)
+}, locales);
+dispatch.on('zoom.range', (index, domain) => {
+    dateRange.update(domain);
+});
+
 const setError = (error, message='data-error') => {
     d3.select('#error-message')
         .classed('is-hidden', error === null)
         .text(locales.message(message, [error]));
 };
 
-const getAverageReliabilityData = function(dates) {
-    const averageReliabilityData = [];
+// Retrieve the average reliability data of a project for the comparison
+const loadAverageReliabilityData = function(project, duration) {
+    return axios.get(`data/bigboat_status/${project}.${duration}.json`)
+        .then(status => getAverageReliabilityData(
+            validateStatusData(status.data).data, currentFields, averageMode
+        ));
+};
 
-    // Calculate the average reliability per measure moment
-    // Loop over all individual items
-    dates.forEach((date, checked_date) => {
-        let total = 0;
-        const componentStatus = {};
+// Display the projects in turn on a wall screen when kiosk mode is enabled
+const kiosk = state.has('kiosk') ? new Kiosk({
+    element: d3.select('#kiosk-summary'),
+    interval: Math.max(1, Number(state.get('kiosk')) ||
+        Number(config.kiosk_interval) || 60
+    ),
+    setProject: (project) => projectNavigation.setCurrentItem(project),
+    hasOutage: (project) => loadAverageReliabilityData(project,
+        getEncompassingDuration(1)
+    ).then(data => data.length > 0 && _.last(data).ok < 1),
+    componentTitle: key => getComponentTitle(currentFields, key)
+}, locales) : null;
 
-        // Add for each different component the OK status to the total
-        date.forEach((metric) => {
-            total += metric.ok;
+// Show the summary of the current project in kiosk mode
+const updateKiosk = function(project, averageReliabilityData) {
+    if (kiosk === null) {
+        return;
+    }
+    kiosk.update(projectNames[project], _.last(averageReliabilityData),
+        averageStatistics.compute(averageReliabilityGraph.x.domain()).uptime
+    );
+};
 
-            // If the status is not "OK", add this component to the list
-            if (metric.ok !== 1) {
-                componentStatus[metric.name] = metric.ok;
-            }
-        });
+// Label a component in the tooltip of the average reliability with its
+// critical flag or weight, if these affect the average mode
+const getComponentLabel = function(name) {
+    if (averageMode === 'critical' && isCritical(currentFields, name)) {
+        return locales.message('component-critical', [name]);
+    }
+    if (averageMode === 'mean' && getWeight(currentFields, name) !== 1) {
+        return locales.message('component-weight', [
+            name, getWeight(currentFields, name)
+        ]);
+    }
+    return name;
+};
 
-        // Add the time and average reliability to the array
-        averageReliabilityData.push({
-            checked_date: checked_date,
-            ok: total / date.length,
-            componentStatus
-        });
+// Update the average reliability to the data of the current project
+const setAverageData = function(averageReliabilityData) {
+    averageReliabilityGraph.update(averageReliabilityData);
+    averageStatistics.setData(averageReliabilityData);
+    incidents.setOutages(averageStatistics.getOutages(
+        averageReliabilityGraph.xStartDomain
+    ));
+};
+
+// Retrieve the average reliability and component data of a project from
+// another data file for the previous period
+const loadPreviousData = function(project, duration) {
+    const key = `${project}.${duration}`;
+    if (!previousCache.has(key)) {
+        previousCache.set(key, axios.get(`data/bigboat_status/${key}.json`)
+            .then(status => {
+                const records = validateStatusData(status.data).data;
+                return {
+                    average: getAverageReliabilityData(records, currentFields,
+                        averageMode
+                    ),
+                    components: d3.group(records, d => d.name)
+                };
+            })
+            .catch(error => {
+                previousCache.delete(key);
+                setError(error);
+                return null;
+            })
+        );
+    }
+    return previousCache.get(key);
+};
+
+// Display the previous period on the graphs and deltas, or hide it if the
+// data is `null`
+const setPreviousData = function(data) {
+    if (data === previousData) {
+        return;
+    }
+    previousData = data;
+    averageReliabilityGraph.setPrevious(data ? data.average : null);
+    averageDelta.setPrevious(data ? data.average : null);
+    componentGraphs.forEach((entry, key) => {
+        const values = data && data.components.has(key) ?
+            data.components.get(key) : null;
+        entry.delta.setPrevious(values);
+        if (entry.graph !== null) {
+            entry.graph.setPrevious(values);
+        }
+    });
+};
+
+// Select the data for the previous period of the visible domain
+const updatePrevious = function() {
+    const graph = averageReliabilityGraph;
+    if (graph === null) {
+        return;
+    }
+    if (!showPrevious) {
+        setPreviousData(null);
+        return;
+    }
+    if (currentPeriodData === null) {
+        currentPeriodData = {
+            average: graph.data,
+            components: new Map(Array.from(componentGraphs,
+                ([key, entry]) => [key, entry.values]
+            ))
+        };
+    }
+
+    // Use the loaded data if it covers the previous period, or if there is
+    // no longer data file
+    const [previousStart] = graph.getPreviousDomain();
+    const duration = getEncompassingDuration(graph.xStartDomain[1] - previousStart);
+    if (graph.xStartDomain[0] <= previousStart || duration === graph.duration) {
+        setPreviousData(currentPeriodData);
+        return;
+    }
+    const project = currentProject;
+    loadPreviousData(project, duration).then(data => {
+        if (project === currentProject && graph === averageReliabilityGraph &&
+            showPrevious
+        ) {
+            setPreviousData(data);
+        }
     });
+};
+
+// Discard the data of the previous period after the data changed
+const resetPrevious = function() {
+    previousCache.clear();
+    currentPeriodData = null;
+    previousData = null;
+    updatePrevious();
+};
+
+// Show or hide the previous period
+const setShowPrevious = function(show) {
+    showPrevious = show;
+    state.set('previous', show ? 1 : null);
+    d3.select('#previous-toggle')
+        .classed('is-selected is-link', show)
+        .attr('aria-pressed', show);
+    updatePrevious();
+};
+d3.select('#previous-toggle')
+    .classed('is-selected is-link', showPrevious)
+    .attr('aria-pressed', showPrevious)
+    .on('click', () => setShowPrevious(!showPrevious));
+dispatch.on('zoom.previous', () => updatePrevious());
+
+// Show or hide the side panel with the status of all components at the
+// focused time
+let showReadout = state.has('readout');
+const setShowReadout = function(show) {
+    showReadout = show;
+    state.set('readout', show ? 1 : null);
+    d3.select('#readout').classed('is-hidden', !show);
+    d3.select('#readout-toggle')
+        .classed('is-selected is-link', show)
+        .attr('aria-pressed', show);
+};
+d3.select('#readout').classed('is-hidden', !showReadout);
+d3.select('#readout-toggle')
+    .classed('is-selected is-link', showReadout)
+    .attr('aria-pressed', showReadout)
+    .on('click', () => setShowReadout(!showReadout));
+dispatch.on('focus.readout', (index, date) => {
+    if (readout !== null) {
+        readout.update(date);
+    }
+});
+
+// Change how the component status is combined into the average reliability
+const setAverageMode = function(mode) {
+    averageMode = mode;
+    state.set('average', mode === defaultAverageMode ? null : mode);
+    d3.select('#average-mode select').property('value', mode);
+    if (averageReliabilityGraph) {
+        setAverageData(getAverageReliabilityData(averageRecords,
+            currentFields, averageMode
+        ));
+        resetPrevious();
+    }
+    if (comparison) {
+        comparison.reload();
+    }
+};
 
-    return averageReliabilityData;
+// Select the average mode in the header of the average reliability
+d3.select('#average-mode')
+    .append('div')
+    .classed('select is-small', true)
+    .append('select')
+    .attr('aria-label', locales.message('average-mode'))
+    .on('change', (event) => setAverageMode(event.target.value))
+    .selectAll('option')
+    .data(_.keys(averageModes))
+    .enter()
+    .append('option')
+    .attr('value', d => d)
+    .attr('title', d => locales.attribute('average-mode-titles', d))
+    .property('selected', d => d === averageMode)
+    .text(d => locales.attribute('average-modes', d));
+
+// Show or hide the comparison of multiple projects
+const setComparison = function(active) {
+    d3.select('#comparison-section').classed('is-hidden', !active);
+    d3.select('#compare-toggle')
+        .classed('is-selected is-link', active)
+        .attr('aria-pressed', active);
+    if (!active) {
+        state.set('compare', null);
+        return;
+    }
+    if (_.isEmpty(comparison.selected) && currentProject !== null) {
+        comparison.toggle(currentProject);
+    }
+    else {
+        state.set('compare', comparison.selected);
+    }
+    comparison.setDuration(encompassingDuration);
 };
 
 const setProject = function(project, duration, displayName, source) {
@@ -170,110 +571,573 @@ const setProject = function(project, duration, displayName, source) {
     addGraphs(project, duration);
 };
 
-const addGraphs = function(project, duration) {
-    // Register a graph to dispatch events from other graphs.
-    // - zoom: Update a graph to the given domain
-    // - focus: Update the focus line
-    const coordinateDispatch = (graphElement) => {
-        dispatch.on(`zoom.${graphElement.config.index}`, function (index, domain) {
-            if (graphElement.config.index !== index) {
-                graphElement.x.domain(domain);
-                graphElement.zoom();
+// Component graphs which are rendered lazily, by their SVG element
+const lazyComponents = new Map();
+
+// Observers which render component graphs when they come near the viewport
+// and release them when they are far off-screen
+const componentObservers = typeof IntersectionObserver === 'undefined' ? [] : [
+    new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting && lazyComponents.has(entry.target)) {
+                lazyComponents.get(entry.target).mount();
             }
         });
-        dispatch.on(`focus.${graphElement.config.index}`, function(index, x0) {
-            if (graphElement.config.index !== index) {
-                graphElement.updateFocus(x0);
+    }, {rootMargin: '250px'}),
+    new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting && lazyComponents.has(entry.target)) {
+                lazyComponents.get(entry.target).unmount();
             }
         });
-    };
+    }, {rootMargin: '2000px'})
+];
 
-    axios.all([
+const observeComponent = function(element, entry) {
+    if (_.isEmpty(componentObservers)) {
+        entry.mount();
+        return;
+    }
+    lazyComponents.set(element, entry);
+    componentObservers.forEach(observer => observer.observe(element));
+};
+
+// Show when the status was last checked, and show when it was > 24hrs ago.
+// The times of a newly loaded project replace the current times if given.
+const updateLastChecked = function(checked, latest) {
+    if (checked !== undefined) {
+        lastChecked = checked;
+        latestDate = latest;
+    }
+    if (lastChecked === null) {
+        return;
+    }
+    const currentDate = latestDate !== null ? latestDate : new Date();
+    d3.select('#last-checked')
+        .text(lastChecked)
+        .classed('has-text-danger has-text-weight-bold',
+            (currentDate - new Date(lastChecked)) > 86400000
+        );
+};
+
+// Retrieve the display title of a component from the fields, or its name
+const getComponentTitle = function(fields, key) {
+    return retrieveText(fields[key] ? fields[key].titles : null, locales,
+        key
+    );
+};
+
+// Planned maintenance periods which are left out of the average uptime, if
+// this is enabled in the configuration
+const getExcludedPeriods = function() {
+    return config.exclude_maintenance ? _.filter(annotations,
+        annotation => annotation.type === 'maintenance' && annotation.end !== null
+    ) : [];
+};
+
+// Retrieve the status data of a project and the fields of the components,
+// and convert the data to component data and average reliability data
+const loadData = function(project, duration) {
+    return axios.all([
         axios.get(`data/bigboat_status/${project}.${duration}.json`),
-        axios.get('data/bigboat_status/fields.json')
-    ]).then(axios.spread((project, fields) => {
-        // Create an array of components, with for each component the measures of that component
-        const data = d3.group(project.data, d => d.name);
+        axios.get('data/bigboat_status/fields.json'),
+        // Annotations are optional
+        axios.get(`data/bigboat_status/${project}.annotations.json`)
+            .catch(() => ({data: []}))
+    ]).then(axios.spread((status, fields, annotationData) => {
+        // Parse the records, sorting them and skipping invalid records
+        const {data: records, skipped, latest, issues} =
+            validateStatusData(status.data);
+        const validFields = validateFields(fields.data);
 
-        // When this projects data was last updated, assuming dates are ordered
-        const lastChecked = project.data[project.data.length - 1].checked_date;
+        // Create an array of components, with for each component the measures of that component
+        const data = d3.group(records, d => d.name);
 
-        const currentDate = fields.data._latest_date ?
-            new Date(fields.data._latest_date) : new Date();
+        // When this projects data was last updated
+        const checked = latest !== null ? formatTime(latest) : null;
 
-        // Show when the status was last checked, and show when it was > 24hrs ago
-        d3.select('#last-checked')
-            .text(lastChecked)
-            .classed('has-text-danger has-text-weight-bold',
-                (currentDate - new Date(lastChecked)) > 86400000
-            );
+        let latestFieldsDate = validFields._latest_date ?
+            new Date(validFields._latest_date) : null;
+        if (latestFieldsDate !== null && isNaN(latestFieldsDate)) {
+            latestFieldsDate = null;
+        }
 
-        // Parse the fields to the necessary format
-        data.forEach(component => {
-            _.forEach(component, item => {
-                item.checked_date = parseTime(item.checked_date);
-                item.ok = item.ok ? 1 : 0;
-            });
-        });
+        // Register additional unit types declared in the fields
+        _.forEach(_.isPlainObject(validFields._units) ? validFields._units : {},
+            (definition, name) => {
+                Unit.register(name, definition);
+            }
+        );
 
         // Average reliability per measure moment
-        const averageReliabilityData = getAverageReliabilityData(
-            d3.group(project.data, d => d.checked_date)
+        const averageReliabilityData = getAverageReliabilityData(records,
+            validFields, averageMode
+        );
+
+        // Maintenance windows and deployments with labels for display
+        const projectAnnotations = _.map(
+            validateAnnotations(annotationData.data),
+            annotation => _.assign({}, annotation, {
+                label: retrieveText(annotation.label, locales)
+            })
         );
 
-        // Create the graph for average reliability
+        return {
+            data, records, latest, averageReliabilityData, fields: validFields,
+            skipped, issues, annotations: projectAnnotations, checked,
+            latestDate: latestFieldsDate
+        };
+    }));
+};
+
+// Add warnings about the data of a component that had to be corrected
+const addComponentWarnings = function(component, issues, hasFields) {
+    const messages = [];
+    if (!hasFields) {
+        messages.push(['validation-fields']);
+    }
+    if (issues) {
+        if (issues.skipped > 0) {
+            messages.push(['validation-skipped', [issues.skipped]]);
+        }
+        if (issues.values > 0) {
+            messages.push(['validation-values', [issues.values]]);
+        }
+        if (issues.unordered) {
+            messages.push(['validation-unordered']);
+        }
+    }
+    if (_.isEmpty(messages)) {
+        return;
+    }
+    component.append('div')
+        .classed('notification is-warning is-light component-warnings', true)
+        .selectAll('p')
+        .data(messages)
+        .enter()
+        .append('p')
+        .text(([message, args]) => locales.message(message, args || []));
+};
+
+// Retrieve the title, description and category of a component for display
+const getComponentText = function(key, field) {
+    return {
+        title: retrieveText(field.titles, locales, key),
+        description: retrieveText(field.descriptions, locales),
+        category: retrieveText(field.category, locales)
+    };
+};
+
+// Mark a component whose latest check lags behind the latest check of the
+// project by more than a few check intervals
+const updateStaleness = function(entry, latest) {
+    const last = _.last(entry.values);
+    const interval = getCheckInterval(entry.values, checkInterval);
+    const lag = last && latest !== null ? latest - last.checked_date : 0;
+    const isStale = interval !== null && lag > gapFactor * interval;
+    entry.stale.classed('is-hidden', !isStale)
+        .attr('title', isStale ? locales.message('stale-title', [
+            d3.timeFormat('%d %b %Y %H:%M')(last.checked_date)
+        ]) : null)
+        .text(isStale ? locales.message('stale', [
+            formatDuration(lag, locales, 1)
+        ]) : '');
+};
+
+// Add a component without any valid data, with only its warnings
+const addInvalidComponent = function(key, index, fields, issues) {
+    const component = d3.select('#components')
+        .append('div')
+        .classed('component column is-6', true);
+
+    const text = getComponentText(key, fields[key] || {});
+    component.append('div')
+        .classed('component-header', true)
+        .append('h3')
+        .classed('title is-5 has-no-margin', true)
+        .text(text.title);
+
+    component.append('p')
+        .classed('notification is-warning is-light component-warnings', true)
+        .text(locales.message('validation-empty'));
+    addComponentWarnings(component, issues, true);
+
+    return _.assign({key, index, values: [], statistics: null, element: component}, text);
+};
+
+const addComponent = function(project, duration, key, values, index, allFields, issues) {
+    // Components without field definitions are displayed with their name
+    const fields = allFields[key] ? allFields : _.assign({}, allFields, {[key]: {}});
+
+    // Create the component container
+    const component = d3.select('#components')
+        .append('div')
+        .classed('component column is-6', true);
+
+    // Add the component title and a toggle to hide the component
+    const header = component.append('div')
+        .classed('component-header', true);
+
+    const text = getComponentText(key, fields[key]);
+    header.append('h3')
+        .classed('title is-5 has-no-margin', true)
+        .text(text.title);
+
+    const breaches = header.append('span')
+        .classed('component-breaches', true);
+
+    const stale = header.append('span')
+        .classed('tag is-warning is-light component-stale is-hidden', true);
+
+    const deltaElement = header.append('span')
+        .classed('component-delta', true);
+
+    const forecastElement = header.append('span')
+        .classed('component-forecast', true);
+
+    const toggle = header.append('button')
+        .classed('button is-small is-white component-toggle', true);
+    toggle.append('span')
+        .classed('icon is-small', true)
+        .append('i');
+
+    const setHidden = (hidden) => {
+        component.classed('is-collapsed', hidden);
+        toggle.attr('aria-pressed', hidden)
+            .attr('title', locales.message(
+                hidden ? 'component-show' : 'component-hide'
+            ))
+            .select('i')
+            .attr('class', `fas ${hidden ? 'fa-eye-slash' : 'fa-eye'}`);
+    };
+    setHidden(hiddenComponents.has(key));
+    toggle.on('click', () => {
+        if (hiddenComponents.has(key)) {
+            hiddenComponents.delete(key);
+        }
+        else {
+            hiddenComponents.add(key);
+        }
+        setHidden(hiddenComponents.has(key));
+        state.set('hide', hiddenComponents.size > 0 ?
+            Array.from(hiddenComponents) : null
+        );
+    });
+
+    component.append('p')
+        .classed('description', true)
+        .text(text.description);
+
+    // Mention any problems with the data of the component
+    addComponentWarnings(component, issues, !!allFields[key]);
+
+    // Add the export actions
+    const exportElement = component.append('div');
+
+    // Add the statistics panel
+    const statistics = new Statistics(values, {
+        element: component.append('div'),
+        small: true,
+        checkInterval
+    }, locales);
+
+    // Add the SVG element, which fills the width of the component
+    const svg = component.append('svg');
+    const getSize = () => getGraphSize(component.node(), {ratio: 0.52});
+    const size = getSize();
+    svg.attr('width', size.width).attr('height', size.height);
+
+    // Thresholds from the fields, overridden by those in the configuration
+    const thresholds = _.assign({}, fields[key].thresholds,
+        config.thresholds ? config.thresholds[key] : {}
+    );
+
+    const thresholdCount = new Thresholds(values, {
+        element: breaches,
+        thresholds: _.isEmpty(thresholds) ? null : thresholds
+    }, locales);
+
+    const delta = new UptimeDelta(statistics, {
+        element: deltaElement
+    }, locales);
+
+    // Values in seconds count down to an expiry date
+    const unit = fields[key].unit;
+    const forecastOptions = {
+        capacity: _.isFinite(fields[key].capacity) ? fields[key].capacity : null,
+        expires: (_.isString(unit) ? unit : _.get(unit, 'type')) === 'seconds'
+    };
+    const forecast = new Forecast(values, _.assign({
+        element: forecastElement,
+        horizon: forecastHorizon
+    }, forecastOptions), locales);
+
+    // Update the panels on zoom even when the graph is not rendered
+    dispatch.on(`zoom.panels-${index}`, function(source, domain) {
+        statistics.update(domain);
+        thresholdCount.update(domain);
+        delta.update(domain);
+        forecast.update(domain);
+    });
+
+    const entry = _.assign({
+        key,
+        index,
+        values,
+        graph: null,
+        export: null,
+        statistics,
+        thresholds: thresholdCount,
+        element: component,
+        stale,
+        delta,
+        forecast
+    }, text);
+
+    // Create the graph for this component when it scrolls into view
+    entry.mount = () => {
+        if (entry.graph !== null) {
+            return;
+        }
+        const {width, height} = getSize();
+        svg.attr('width', width).attr('height', height);
+        entry.graph = new Graph(entry.values, duration, dispatch, {
+            element: svg,
+            index,
+            preciseYAxis: false,
+            valueUnit: fields[key].unit,
+            thresholds: thresholdCount.config.thresholds,
+            capacity: forecastOptions.capacity,
+            forecastHorizon,
+            expires: forecastOptions.expires,
+            annotations,
+            checkInterval,
+            label: text.title
+        }, locales);
+
+        coordinateDispatch(entry.graph);
+
+        entry.export = new Export(entry.graph, {
+            element: exportElement,
+            filename: `${project}-${key}-${duration}`
+        }, locales);
+
+        // Follow the zoom and focus of the other graphs
+        if (averageReliabilityGraph) {
+            entry.graph.x.domain(averageReliabilityGraph.x.domain());
+            entry.graph.zoom();
+        }
+        if (currentFocus !== null) {
+            entry.graph.updateFocus(currentFocus);
+        }
+        if (previousData !== null) {
+            entry.graph.setPrevious(previousData.components.has(key) ?
+                previousData.components.get(key) : null
+            );
+        }
+    };
+
+    // Fit the graph to the width of the component
+    entry.resize = () => {
+        if (entry.graph !== null) {
+            const {width, height} = getSize();
+            entry.graph.resize(width, height);
+        }
+    };
+
+    // Release the graph when it is far off-screen
+    entry.unmount = () => {
+        if (entry.graph === null) {
+            return;
+        }
+        dispatch.on(`zoom.${index}`, null);
+        dispatch.on(`focus.${index}`, null);
+        entry.graph.destroy();
+        entry.export.destroy();
+        entry.graph = null;
+        entry.export = null;
+    };
+
+    observeComponent(svg.node(), entry);
+    componentGraphs.set(key, entry);
+    return entry;
+};
+
+// Release the graphs and observers of the components of a previous project
+const releaseComponents = function() {
+    componentGraphs.forEach((entry, key) => {
+        entry.unmount();
+        dispatch.on(`zoom.panels-${entry.index}`, null);
+    });
+    _.forEach(componentObservers, observer => observer.disconnect());
+    lazyComponents.clear();
+    componentGraphs = new Map();
+};
+
+// Remove the average reliability graph and the panels which show the data of
+// the project, when the project has no data to display
+const clearAverage = function() {
+    if (averageReliabilityGraph !== null) {
+        dispatch.on('zoom.average', null).on('focus.average', null);
+        averageReliabilityGraph.destroy();
+        averageReliabilityGraph = null;
+    }
+    if (averageExport !== null) {
+        averageExport.destroy();
+        averageExport = null;
+    }
+    dispatch.on('zoom.heatmap', null);
+    averageStatistics = null;
+    averageDelta = null;
+    incidents = null;
+    heatmap = null;
+    readout = null;
+    ['#average-statistics', '#average-delta', '#incidents', '#heatmap',
+        '#readout'
+    ].forEach(selector => d3.select(selector).html(''));
+};
+
+// Load the data of a project and create its graphs. A live refresh which
+// recreates the graphs does not add its domain to the zoom history.
+const addGraphs = function(project, duration, refresh=false) {
+    loadData(project, duration).then(({data, records, latest, averageReliabilityData, fields, skipped, issues, annotations: projectAnnotations, checked, latestDate: latestFieldsDate}) => {
+        // Ignore the data if another project was selected in the meantime
+        if (project !== currentProject) {
+            return;
+        }
+        updateLastChecked(checked, latestFieldsDate);
+        loadedDuration = duration;
+        annotations = projectAnnotations;
+        averageRecords = records;
+        currentFields = fields;
+        setDataMessage(skipped > 0 ? 'data-skipped' : null, [skipped]);
+
+        // Show that there is nothing to display for an empty project
+        if (averageReliabilityData.length === 0) {
+            releaseComponents();
+            d3.selectAll('#components div').remove();
+            clearAverage();
+            d3.select('#content').classed('is-hidden', true);
+            setDataMessage('no-data');
+            loadingSpinner.stop();
+
+            // Keep checking whether the project has data by now
+            scheduleRefresh();
+            return;
+        }
+
+        // Create the graph for average reliability, which fills the width of
+        // its container
+        const averageElement = d3.select('svg#average-reliability');
+        const {width, height} = getGraphSize(averageElement.node().parentNode,
+            averageSize
+        );
+        averageElement.attr('width', width).attr('height', height);
         averageReliabilityGraph = new Graph(averageReliabilityData, duration,
             dispatch, {
-                element: d3.select('svg#average-reliability'),
+                element: averageElement,
                 index: 'average',
+                label: locales.message('average-reliability'),
+                annotations,
+                componentLabel: getComponentLabel,
+                checkInterval
             },
             locales
         );
 
-        coordinateDispatch(averageReliabilityGraph);
+        averageStatistics = new Statistics(averageReliabilityData, {
+            element: d3.select('#average-statistics'),
+            excluded: getExcludedPeriods(),
+            checkInterval
+        }, locales);
+
+        d3.select('#average-delta').html('');
+        averageDelta = new UptimeDelta(averageStatistics, {
+            element: d3.select('#average-delta')
+        }, locales);
+
+        coordinateDispatch(averageReliabilityGraph, averageStatistics,
+            averageDelta
+        );
+
+        averageExport = new Export(averageReliabilityGraph, {
+            element: d3.select('#average-export'),
+            filename: `${project}-average-${duration}`
+        }, locales);
+
+        // List the periods where any component was not OK
+        incidents = new Incidents(averageStatistics.getOutages(
+            averageReliabilityGraph.xStartDomain
+        ), dispatch, {
+            element: d3.select('#incidents'),
+            componentTitle: key => getComponentTitle(fields, key)
+        }, locales);
+
+        // Show an overview of the status of all components over time
+        heatmap = new Heatmap(data, dispatch, {
+            element: d3.select('#heatmap'),
+            componentTitle: key => getComponentTitle(fields, key)
+        }, locales);
+        dispatch.on('zoom.heatmap', (index, domain) => {
+            heatmap.update(domain);
+        });
+
+        // List the status of each component at the focused time
+        readout = new Readout(data, {
+            element: d3.select('#readout'),
+            componentTitle: key => getComponentTitle(fields, key),
+            componentUnit: key => fields[key] ? fields[key].unit : undefined
+        }, locales);
+        readout.update(currentFocus);
 
         // Create a graph for each component
-        let index = 0;
+        releaseComponents();
+        const items = [];
         data.forEach(function (values, key) {
-            // Create the component container
-            const component = d3.select('#components')
-                .append('div')
-                .classed('component column is-6', true);
-
-            // Add the component title
-            component.append('h3')
-                .classed('title is-5 has-no-margin', true)
-                .text(locales.retrieve(fields.data[key].titles, null, key));
-
-            component.append('p')
-                .classed('description', true)
-                .text(locales.retrieve(fields.data[key].descriptions));
-
-            // Add the SVG element
-            const svg = component.append('svg')
-                .attr('width', '480')
-                .attr('height', '250');
-
-            // Create the graph for this component
-            const componentGraph = new Graph(values, duration, dispatch, {
-                element: svg,
-                index,
-                preciseYAxis: false,
-                valueUnit: fields.data[key].unit,
-            }, locales);
-
-            coordinateDispatch(componentGraph);
-            index++;
+            const entry = addComponent(project, duration, key, values,
+                items.length, fields, issues.get(key)
+            );
+            updateStaleness(entry, latest);
+            items.push(entry);
+        });
+        issues.forEach((componentIssues, key) => {
+            if (!data.has(key)) {
+                items.push(addInvalidComponent(key, items.length, fields,
+                    componentIssues
+                ));
+            }
         });
+        componentFilter.setProject(project, items);
 
         // Duration may have changed during the request
-        updateDomain(currentDuration);
+        if (refresh) {
+            zoomHistory.skip(() => updateDomain(currentDuration));
+        }
+        else {
+            updateDomain(currentDuration);
+        }
+
+        // Restore the zoomed domain and focused time from the URL once
+        if (initialZoom !== null) {
+            averageReliabilityGraph.setDomain(initialZoom);
+            initialZoom = null;
+        }
+        if (initialFocus !== null) {
+            dispatch.call('focus', null, null, initialFocus);
+            initialFocus = null;
+        }
+        updateKiosk(project, averageReliabilityData);
+
+        // Show the previous period if it is enabled
+        resetPrevious();
 
         // Display the graph and stop the loading spinner
         d3.select('#content').classed('is-hidden', false);
 
         loadingSpinner.stop();
-    }))
+
+        scheduleRefresh();
+    })
     .catch(function (error) {
         loadingSpinner.stop();
         setError(error);
@@ -281,22 +1145,149 @@ const addGraphs = function(project, duration) {
     });
 };
 
+// Retrieve the latest data of the current project and update the graphs in
+// place, keeping the zoomed domain and focus
+const refreshGraphs = function() {
+    refreshTimer = null;
+    const graph = averageReliabilityGraph;
+    if (graph === null) {
+        // A project without data is loaded again in full once it has data
+        if (currentProject !== null) {
+            addGraphs(currentProject, encompassingDuration, true);
+        }
+        return;
+    }
+    const project = currentProject;
+    const duration = graph.duration;
+    loadData(project, duration).then(({data, records, latest, averageReliabilityData, fields, annotations: projectAnnotations, checked, latestDate: latestFieldsDate}) => {
+        // Ignore the data if another project or duration was selected
+        if (project !== currentProject || graph !== averageReliabilityGraph) {
+            return;
+        }
+        updateLastChecked(checked, latestFieldsDate);
+
+        if (averageReliabilityData.length === 0 ||
+            !_.isEqual(_.sortBy(Array.from(data.keys())),
+                _.sortBy(Array.from(componentGraphs.keys()))
+            )
+        ) {
+            // Components were added or removed, so recreate all graphs
+            d3.selectAll('#components div').remove();
+            d3.select('svg#average-reliability').html('');
+
+            addGraphs(project, duration, true);
+            return;
+        }
+
+        annotations = projectAnnotations;
+        averageRecords = records;
+        currentFields = fields;
+        averageReliabilityGraph.setAnnotations(annotations);
+        averageStatistics.setExcluded(getExcludedPeriods());
+        setAverageData(averageReliabilityData);
+        heatmap.setData(data);
+        readout.setData(data);
+        data.forEach((values, key) => {
+            const component = componentGraphs.get(key);
+            component.values = values;
+            if (component.graph !== null) {
+                component.graph.setAnnotations(annotations);
+                component.graph.update(values);
+            }
+            component.statistics.setData(values);
+            component.thresholds.setData(values);
+            component.forecast.setData(values);
+            updateStaleness(component, latest);
+        });
+        componentFilter.apply();
+        resetPrevious();
+
+        // Follow the latest data unless the user zoomed in, without adding
+        // the moving domain to the zoom history
+        if (!state.has('zoom')) {
+            zoomHistory.skip(() => updateDomain(currentDuration));
+        }
+        updateKiosk(project, averageReliabilityData);
+
+        scheduleRefresh();
+    })
+    .catch(function (error) {
+        setError(error);
+        scheduleRefresh();
+    });
+};
+
+// Start waiting for the next refresh if polling is enabled
+const scheduleRefresh = function() {
+    if (refreshInterval <= 0) {
+        return;
+    }
+    if (refreshTimer !== null) {
+        clearTimeout(refreshTimer);
+    }
+    refreshTimer = setTimeout(refreshGraphs, refreshInterval * 1000);
+};
+
 axios.all([
     axios.get('data/bigboat_status/projects.json'),
     axios.get('data/bigboat_status/durations.json'),
     axios.get('data/projects_meta.json'),
     axios.get('data/projects_sources.json')
 ]).then(axios.spread((projects, durations, meta, urls) => {
-    const projectData = _.intersectionWith(meta.data, projects.data,
+    const projectData = _.intersectionWith(validateMetadata(meta.data),
+        validateNames(projects.data, 'projects.json'),
         (metadata, project) => metadata.name === project
     );
     projectNames = _.fromPairs(_.map(projectData,
         d => [d.name, d.quality_display_name || d.name]
     ));
-    projectUrls = urls.data;
+    projectUrls = _.isPlainObject(urls.data) ? urls.data : {};
+
+    comparison = new Comparison(dispatch, {
+        element: d3.select('#comparison'),
+        projects: _.map(projectData, d => d.name),
+        projectTitle: name => projectNames[name],
+        selected: state.getList('compare'),
+        load: loadAverageReliabilityData,
+        onGraph: (graph) => {
+            coordinateDispatch(graph);
+            if (averageReliabilityGraph) {
+                graph.x.domain(averageReliabilityGraph.x.domain());
+                graph.zoom();
+            }
+        },
+        onSelect: (selected) => {
+            state.set('compare', selected);
+        },
+        onError: (error) => setError(error)
+    }, locales);
 
-    durationNavigation.start(durations.data);
+    d3.select('#compare-toggle').on('click', () => {
+        setComparison(!state.has('compare'));
+    });
+
+    // Select the duration and project from the URL unless the hash does.
+    // Starting the navigation selects a duration, which replaces the URL one.
+    durationSlugs = validateNames(durations.data, 'durations.json');
+    const initialDuration = state.has('duration') &&
+        !window.location.hash.startsWith('#range_') ?
+        state.get('duration') : null;
+    durationNavigation.start(durationSlugs);
+    if (initialDuration !== null) {
+        durationNavigation.setCurrentItem(initialDuration);
+    }
+    if (state.has('project') && !window.location.hash.startsWith('#project_')) {
+        window.history.replaceState(window.history.state, '',
+            `#project_${encodeURIComponent(state.get('project'))}`
+        );
+    }
     projectNavigation.start(projectData);
+    if (state.has('compare')) {
+        setComparison(true);
+    }
+    if (kiosk !== null) {
+        kiosk.start(_.map(projectData, d => d.name));
+    }
 }))
 .catch(function (error) {
     loadingSpinner.stop();
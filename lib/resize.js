@@ -0,0 +1,79 @@
+/**
+ * Responsive sizing of graphs to their containers.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import _ from 'lodash';
+
+// Smallest size of a graph in pixels, which leaves room for the axes
+export const minimumSize = {width: 240, height: 150};
+
+/**
+ * Determine the width of the content of a node, without its padding.
+ */
+const getContentWidth = function(node) {
+    if (!node) {
+        return 0;
+    }
+    const style = window.getComputedStyle(node);
+    return Math.floor(node.clientWidth - parseFloat(style.paddingLeft || 0) -
+        parseFloat(style.paddingRight || 0)
+    );
+};
+
+/**
+ * Determine the size of a graph which fills the width of a container node,
+ * with a height that is in proportion to the width. A fixed width or height
+ * is used as is. Containers without a width, such as hidden elements, lead
+ * to the fallback width.
+ */
+export function getGraphSize(node, {width=null, height=null, ratio=0.5, fallback=480}={}) {
+    const available = getContentWidth(node);
+    const graphWidth = Math.max(minimumSize.width,
+        width || (available > 0 ? available : fallback)
+    );
+    return {
+        width: graphWidth,
+        height: Math.max(minimumSize.height,
+            height || Math.round(graphWidth * ratio)
+        )
+    };
+}
+
+/**
+ * Call a function when the width of a node changes, once the width has been
+ * stable for a delay in milliseconds. Returns a function that stops
+ * observing the node.
+ */
+export function observeResize(node, callback, delay=200) {
+    if (!node || typeof ResizeObserver === 'undefined') {
+        return () => {};
+    }
+    let width = node.clientWidth;
+    const resize = _.debounce(() => {
+        if (node.clientWidth !== width) {
+            width = node.clientWidth;
+            callback(width);
+        }
+    }, delay);
+    const observer = new ResizeObserver(resize);
+    observer.observe(node);
+    return () => {
+        resize.cancel();
+        observer.disconnect();
+    };
+}
@@ -0,0 +1,225 @@
+/**
+ * Validation of the data formats of the status data files.
+ *
+ * Copyright 2017-2020 ICTU
+ * Copyright 2017-2022 Leiden University
+ * Copyright 2017-2023 Leon Helwerda
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import _ from 'lodash';
+import * as d3 from 'd3';
+
+const parseTime = d3.timeParse('%Y-%m-%d %H:%M:%S');
+
+/**
+ * Check that a list of names, such as the projects or durations, is an array,
+ * and keep only the non-empty strings in it. The description is used in the
+ * error message when the list cannot be used at all.
+ */
+export function validateNames(data, description) {
+    if (!_.isArray(data)) {
+        throw new Error(`${description} is not a list`);
+    }
+    return _.filter(data, name => _.isString(name) && name !== '');
+}
+
+/**
+ * Check the metadata of projects, keeping only the items with a name.
+ */
+export function validateMetadata(data) {
+    if (!_.isArray(data)) {
+        throw new Error('project metadata is not a list');
+    }
+    return _.filter(data, item => _.isPlainObject(item) &&
+        _.isString(item.name) && item.name !== ''
+    );
+}
+
+/**
+ * Check the thresholds of a component, keeping only numeric levels and
+ * a known direction. Returns `undefined` if no thresholds remain.
+ */
+const validateThresholds = function(thresholds) {
+    if (!_.isPlainObject(thresholds)) {
+        return undefined;
+    }
+    const valid = _.pickBy(_.pick(thresholds, ['warning', 'critical']),
+        _.isFinite
+    );
+    if (_.isEmpty(valid)) {
+        return undefined;
+    }
+    if (thresholds.direction === 'below' || thresholds.direction === 'above') {
+        valid.direction = thresholds.direction;
+    }
+    return valid;
+};
+
+/**
+ * Check the fields of the components. Properties that start with an
+ * underscore hold global settings and are kept as they are. Component
+ * fields which are not objects are replaced by empty fields, and invalid
+ * titles, descriptions, categories, units, capacities and thresholds are
+ * removed.
+ */
+export function validateFields(data) {
+    if (!_.isPlainObject(data)) {
+        return {};
+    }
+    return _.mapValues(data, (field, key) => {
+        if (_.startsWith(key, '_')) {
+            return field;
+        }
+        if (!_.isPlainObject(field)) {
+            return {};
+        }
+        const isText = text => _.isPlainObject(text) || _.isString(text);
+        const isUnit = unit => _.isString(unit) ||
+            (_.isPlainObject(unit) && _.isString(unit.type));
+        return _.assign({}, field, {
+            titles: isText(field.titles) ? field.titles : undefined,
+            descriptions: isText(field.descriptions) ?
+                field.descriptions : undefined,
+            category: isText(field.category) ? field.category : undefined,
+            unit: isUnit(field.unit) ? field.unit : undefined,
+            capacity: _.isFinite(field.capacity) ? field.capacity : undefined,
+            thresholds: validateThresholds(field.thresholds)
+        });
+    });
+}
+
+/**
+ * Convert a numeric field of a status record. Missing values are
+ * `undefined`, and values which are not numbers are `null`.
+ */
+const parseNumber = function(value) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const number = _.isString(value) && value.trim() !== '' ?
+        Number(value) : value;
+    return _.isFinite(number) ? number : null;
+};
+
+/**
+ * Check the records of status data. Records are parsed to the necessary
+ * format and sorted by date. Records without a component name are skipped,
+ * as well as records with an invalid date or OK status and duplicate records
+ * of a component at the same time. Invalid values are removed from their
+ * records.
+ *
+ * The result holds the valid records in `data`, the number of records without
+ * a component name in `skipped`, the date of the latest record in `latest`,
+ * and the problems of each component in `issues`: a map of component names to
+ * the number of skipped records, the number of removed values and whether the
+ * records were out of order.
+ */
+export function validateStatusData(data) {
+    const result = {
+        data: [],
+        skipped: 0,
+        latest: null,
+        issues: new Map()
+    };
+    if (!_.isArray(data)) {
+        throw new Error('status data is not a list');
+    }
+
+    const getIssues = (name) => {
+        if (!result.issues.has(name)) {
+            result.issues.set(name, {skipped: 0, values: 0, unordered: false});
+        }
+        return result.issues.get(name);
+    };
+    const previous = new Map();
+    const seen = new Set();
+
+    data.forEach(item => {
+        if (!_.isPlainObject(item) || !_.isString(item.name) || item.name === '') {
+            result.skipped++;
+            return;
+        }
+        const date = _.isString(item.checked_date) ?
+            parseTime(item.checked_date) : null;
+        const ok = _.isBoolean(item.ok) || _.isFinite(item.ok) ?
+            (item.ok ? 1 : 0) : null;
+        const key = `${item.name}\u0000${item.checked_date}`;
+        if (date === null || ok === null || seen.has(key)) {
+            getIssues(item.name).skipped++;
+            return;
+        }
+        seen.add(key);
+
+        if (previous.has(item.name) && previous.get(item.name) > date) {
+            getIssues(item.name).unordered = true;
+        }
+        previous.set(item.name, date);
+
+        const record = _.assign({}, item, {checked_date: date, ok});
+        ['value', 'min', 'max'].forEach(field => {
+            const value = parseNumber(item[field]);
+            if (value === null) {
+                getIssues(item.name).values++;
+            }
+            if (value === null || value === undefined) {
+                delete record[field];
+            }
+            else {
+                record[field] = value;
+            }
+        });
+        result.data.push(record);
+    });
+
+    result.data = _.sortBy(result.data, d => d.checked_date.getTime());
+    if (result.data.length > 0) {
+        result.latest = result.data[result.data.length - 1].checked_date;
+    }
+    return result;
+}
+
+// Types of annotations, of which maintenance is planned
+export const annotationTypes = ['maintenance', 'deployment', 'other'];
+
+/**
+ * Check the annotations of a project. Each annotation has a `start` date and
+ * either an `end` date for a period or no end for a single moment, as well as
+ * a `type` and a `label`, which is a string or an object with a text for each
+ * language. Annotations with invalid dates are skipped, and the remaining
+ * annotations are sorted by their start date. Missing annotations are an
+ * empty list.
+ */
+export function validateAnnotations(data) {
+    if (!_.isArray(data)) {
+        return [];
+    }
+    return _.sortBy(_.compact(_.map(data, item => {
+        if (!_.isPlainObject(item) || !_.isString(item.start)) {
+            return null;
+        }
+        const start = parseTime(item.start);
+        const end = item.end === undefined || item.end === null ? null :
+            (_.isString(item.end) ? parseTime(item.end) : undefined);
+        if (start === null || end === undefined || (end !== null && end < start)) {
+            return null;
+        }
+        return {
+            start,
+            end,
+            type: _.includes(annotationTypes, item.type) ? item.type : 'other',
+            label: _.isString(item.label) || _.isPlainObject(item.label) ?
+                item.label : ''
+        };
+    })), d => d.start.getTime());
+}
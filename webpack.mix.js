@@ -37,6 +37,7 @@ mix.setPublicPath('public/')
     .setResourceRoot('')
     .js('lib/index.js', 'public/bundle.js')
     .sass('res/main.scss', 'public/main.css')
+    .sass('res/widget.scss', 'public/widget.css')
     .browserSync({
         proxy: false,
         server: 'public',